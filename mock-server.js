@@ -0,0 +1,165 @@
+/**
+ * Local mock server for trying out form submission
+ * Serves the page and fakes the endpoints the contact form talks to.
+ *
+ * Usage: node mock-server.js
+ *   PORT           - port to listen on (default 8080)
+ *   MOCK_DELAY     - milliseconds to wait before answering API calls (default 500)
+ *   MOCK_FAILURES  - number of 503 responses to return before succeeding,
+ *                    to see the retry behaviour (default 0)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const DELAY = parseInt(process.env.MOCK_DELAY, 10) || 500;
+let failuresLeft = parseInt(process.env.MOCK_FAILURES, 10) || 0;
+
+const REGISTERED_EMAILS = ['taken@example.com', 'admin@example.com'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Read the request body and decode it according to its Content-Type
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const contentType = req.headers['content-type'] || '';
+
+            try {
+                if (contentType.includes('application/json')) {
+                    resolve(JSON.parse(raw || '{}'));
+                } else if (contentType.includes('application/x-www-form-urlencoded')) {
+                    resolve(Object.fromEntries(new URLSearchParams(raw)));
+                } else if (contentType.includes('multipart/form-data')) {
+                    resolve(parseMultipart(raw, contentType));
+                } else {
+                    resolve({});
+                }
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Minimal multipart/form-data parser (text fields only)
+ */
+function parseMultipart(raw, contentType) {
+    const boundary = contentType.split('boundary=')[1];
+    const data = {};
+
+    raw.split('--' + boundary).forEach(part => {
+        const match = part.match(/name="([^"]+)"\r\n\r\n([\s\S]*)\r\n$/);
+        if (match) {
+            data[match[1]] = match[2];
+        }
+    });
+    return data;
+}
+
+/**
+ * POST /api/contact - validates like a real backend would and answers
+ * 201 on success or 422 with { errors: { field: message } }
+ */
+async function handleContact(req, res) {
+    const data = await readBody(req);
+
+    if (failuresLeft > 0) {
+        failuresLeft--;
+        return sendJson(res, 503, { message: 'Service temporarily unavailable' });
+    }
+
+    const errors = {};
+    ['fullName', 'email', 'message'].forEach(field => {
+        if (!data[field] || String(data[field]).trim() === '') {
+            errors[field] = 'This field is required';
+        }
+    });
+    if (data.email && REGISTERED_EMAILS.includes(String(data.email).toLowerCase())) {
+        errors.email = 'This email address is already registered';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return sendJson(res, 422, { errors: errors });
+    }
+
+    console.log('Received submission with fields:', Object.keys(data).join(', '));
+    sendJson(res, 201, { id: Date.now(), received: Object.keys(data) });
+}
+
+/**
+ * GET /api/check-email?email=... - answers the data-remote rule format
+ */
+function handleCheckEmail(req, res, url) {
+    const email = (url.searchParams.get('email') || '').toLowerCase();
+    if (REGISTERED_EMAILS.includes(email)) {
+        return sendJson(res, 200, { valid: false, message: 'This email address is already registered' });
+    }
+    sendJson(res, 200, { valid: true });
+}
+
+/**
+ * Serve the page's static files
+ */
+function serveStatic(res, url) {
+    const relativePath = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname.slice(1));
+    const filePath = path.join(__dirname, relativePath);
+
+    if (!filePath.startsWith(__dirname + path.sep)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (!url.pathname.startsWith('/api/')) {
+        return serveStatic(res, url);
+    }
+
+    setTimeout(() => {
+        if (req.method === 'POST' && url.pathname === '/api/contact') {
+            handleContact(req, res).catch(() => sendJson(res, 400, { message: 'Malformed request body' }));
+        } else if (req.method === 'GET' && url.pathname === '/api/check-email') {
+            handleCheckEmail(req, res, url);
+        } else {
+            sendJson(res, 404, { message: 'Unknown endpoint' });
+        }
+    }, DELAY);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT}/`);
+});
@@ -1,942 +1,6900 @@
-/**
- * Interactive Web Pages Assignment - JavaScript Implementation
- * This file contains all the interactive functionality for the web application
- * including event handling, DOM manipulation, and form validation.
- */
-
-// =============================================================================
-// PART 1: EVENT HANDLING AND DOM SETUP
-// =============================================================================
-
-/**
- * Initialize all interactive elements when the DOM is fully loaded
- */
-document.addEventListener('DOMContentLoaded', function() {
-    initializeThemeToggle();
-    initializeCounter();
-    initializeFAQ();
-    initializeTabs();
-    initializeDropdown();
-    initializeFormValidation();
-    
-    // Log successful initialization
-    console.log('%c🚀 Interactive Web Assignment Loaded Successfully!', 
-        'color: #667eea; font-size: 16px; font-weight: bold;');
-});
-
-// =============================================================================
-// PART 2: INTERACTIVE ELEMENTS IMPLEMENTATION
-// =============================================================================
-
-/**
- * Theme Toggle Functionality
- * Switches between light and dark themes with smooth transitions
- */
-function initializeThemeToggle() {
-    const themeToggle = document.getElementById('themeToggle');
-    const body = document.body;
-    
-    // Load saved theme preference or default to light
-    const savedTheme = getStoredTheme() || 'light';
-    body.classList.remove('light-theme', 'dark-theme');
-    body.classList.add(savedTheme + '-theme');
-    updateThemeToggleText(savedTheme);
-    
-    themeToggle.addEventListener('click', function() {
-        const isLight = body.classList.contains('light-theme');
-        const newTheme = isLight ? 'dark' : 'light';
-        
-        // Toggle theme classes
-        body.classList.remove('light-theme', 'dark-theme');
-        body.classList.add(newTheme + '-theme');
-        
-        // Update button text and save preference
-        updateThemeToggleText(newTheme);
-        saveTheme(newTheme);
-        
-        // Add a subtle animation effect
-        themeToggle.style.transform = 'scale(0.95)';
-        setTimeout(() => {
-            themeToggle.style.transform = 'scale(1)';
-        }, 150);
-    });
-}
-
-/**
- * Update theme toggle button text based on current theme
- */
-function updateThemeToggleText(theme) {
-    const themeToggle = document.getElementById('themeToggle');
-    themeToggle.textContent = theme === 'light' ? '🌙 Dark Mode' : '☀️ Light Mode';
-}
-
-/**
- * Theme storage helpers (with fallback for environments without localStorage)
- */
-function saveTheme(theme) {
-    try {
-        if (typeof Storage !== 'undefined') {
-            localStorage.setItem('theme', theme);
-        } else {
-            // Fallback: store in a global variable
-            window.currentTheme = theme;
-        }
-    } catch (e) {
-        window.currentTheme = theme;
-    }
-}
-
-function getStoredTheme() {
-    try {
-        if (typeof Storage !== 'undefined') {
-            return localStorage.getItem('theme');
-        } else {
-            return window.currentTheme;
-        }
-    } catch (e) {
-        return window.currentTheme;
-    }
-}
-
-/**
- * Interactive Counter Game
- * Provides multiple ways to manipulate a counter with visual feedback
- */
-function initializeCounter() {
-    let count = 0;
-    const display = document.getElementById('counterDisplay');
-    const incrementBtn = document.getElementById('incrementBtn');
-    const increment5Btn = document.getElementById('increment5Btn');
-    const decrementBtn = document.getElementById('decrementBtn');
-    const resetBtn = document.getElementById('resetBtn');
-    const randomBtn = document.getElementById('randomBtn');
-
-    /**
-     * Update counter display with animation and color changes
-     */
-    function updateDisplay() {
-        display.textContent = count;
-        
-        // Add scale animation effect
-        display.style.transform = 'scale(1.1)';
-        setTimeout(() => {
-            display.style.transform = 'scale(1)';
-        }, 200);
-        
-        // Change color based on value
-        if (count > 0) {
-            display.style.color = '#38a169'; // Green for positive
-        } else if (count < 0) {
-            display.style.color = '#e53e3e'; // Red for negative
-        } else {
-            display.style.color = '#667eea'; // Blue for zero
-        }
-    }
-
-    // Event listeners for counter buttons
-    incrementBtn.addEventListener('click', () => {
-        count++;
-        updateDisplay();
-        addButtonFeedback(incrementBtn);
-    });
-
-    increment5Btn.addEventListener('click', () => {
-        count += 5;
-        updateDisplay();
-        addButtonFeedback(increment5Btn);
-    });
-
-    decrementBtn.addEventListener('click', () => {
-        count--;
-        updateDisplay();
-        addButtonFeedback(decrementBtn);
-    });
-
-    resetBtn.addEventListener('click', () => {
-        count = 0;
-        updateDisplay();
-        addButtonFeedback(resetBtn);
-    });
-
-    randomBtn.addEventListener('click', () => {
-        count = Math.floor(Math.random() * 201) - 100; // Random between -100 and 100
-        updateDisplay();
-        addButtonFeedback(randomBtn);
-    });
-
-    // Keyboard support for counter (arrow keys and spacebar)
-    document.addEventListener('keydown', function(event) {
-        // Don't interfere with form inputs
-        if (event.target.tagName.toLowerCase() === 'input' || 
-            event.target.tagName.toLowerCase() === 'textarea') {
-            return;
-        }
-        
-        switch(event.key) {
-            case 'ArrowUp':
-                count++;
-                updateDisplay();
-                event.preventDefault();
-                break;
-            case 'ArrowDown':
-                count--;
-                updateDisplay();
-                event.preventDefault();
-                break;
-            case ' ':
-                count = 0;
-                updateDisplay();
-                event.preventDefault();
-                break;
-        }
-    });
-
-    // Initialize display
-    updateDisplay();
-}
-
-/**
- * Add visual feedback to buttons when clicked
- */
-function addButtonFeedback(button) {
-    button.style.transform = 'translateY(-2px) scale(0.95)';
-    setTimeout(() => {
-        button.style.transform = '';
-    }, 150);
-}
-
-/**
- * Collapsible FAQ Section
- * Smooth accordion-style expansion and collapse with rotation animations
- */
-function initializeFAQ() {
-    const faqQuestions = document.querySelectorAll('.faq-question');
-    
-    faqQuestions.forEach(question => {
-        question.addEventListener('click', function() {
-            const faqId = this.dataset.faq;
-            const answer = document.querySelector(`[data-answer="${faqId}"]`);
-            const icon = this.querySelector('.faq-icon');
-            
-            if (!answer || !icon) return;
-            
-            // Check if this FAQ is currently active
-            const isActive = answer.classList.contains('active');
-            
-            // Close all other FAQ items (accordion behavior)
-            document.querySelectorAll('.faq-answer').forEach(item => {
-                if (item !== answer) {
-                    item.classList.remove('active');
-                }
-            });
-            
-            document.querySelectorAll('.faq-icon').forEach(item => {
-                if (item !== icon) {
-                    item.classList.remove('active');
-                }
-            });
-            
-            // Toggle current item
-            if (!isActive) {
-                answer.classList.add('active');
-                icon.classList.add('active');
-            } else {
-                answer.classList.remove('active');
-                icon.classList.remove('active');
-            }
-        });
-        
-        // Add hover effect
-        question.addEventListener('mouseenter', function() {
-            this.style.transform = 'translateX(5px)';
-        });
-        
-        question.addEventListener('mouseleave', function() {
-            this.style.transform = '';
-        });
-    });
-}
-
-/**
- * Tabbed Interface System
- * Dynamic content switching with active state management
- */
-function initializeTabs() {
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    const tabPanels = document.querySelectorAll('.tab-panel');
-    
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const targetTab = this.dataset.tab;
-            
-            // Remove active class from all buttons and panels
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            tabPanels.forEach(panel => panel.classList.remove('active'));
-            
-            // Add active class to clicked button and corresponding panel
-            this.classList.add('active');
-            const targetPanel = document.getElementById(targetTab);
-            
-            if (targetPanel) {
-                targetPanel.classList.add('active');
-                
-                // Add fade-in animation
-                targetPanel.style.opacity = '0';
-                targetPanel.style.transform = 'translateY(10px)';
-                
-                setTimeout(() => {
-                    targetPanel.style.opacity = '1';
-                    targetPanel.style.transform = 'translateY(0)';
-                    targetPanel.style.transition = 'all 0.3s ease';
-                }, 50);
-            }
-        });
-        
-        // Add button animation on click
-        button.addEventListener('click', function() {
-            this.style.transform = 'scale(0.95)';
-            setTimeout(() => {
-                this.style.transform = '';
-            }, 150);
-        });
-    });
-}
-
-/**
- * Interactive Dropdown Menu
- * Click-to-toggle dropdown with outside click closing
- */
-function initializeDropdown() {
-    const dropdownToggle = document.getElementById('dropdownToggle');
-    const dropdownMenu = document.getElementById('dropdownMenu');
-    const dropdownItems = document.querySelectorAll('.dropdown-item');
-    
-    if (!dropdownToggle || !dropdownMenu) return;
-    
-    // Toggle dropdown visibility
-    dropdownToggle.addEventListener('click', function(event) {
-        event.stopPropagation();
-        const isVisible = dropdownMenu.style.display === 'block';
-        
-        if (isVisible) {
-            closeDropdown();
-        } else {
-            openDropdown();
-        }
-    });
-    
-    // Handle dropdown item clicks
-    dropdownItems.forEach(item => {
-        item.addEventListener('click', function() {
-            const action = this.dataset.action;
-            executeDropdownAction(action);
-            closeDropdown();
-        });
-        
-        // Add hover animation
-        item.addEventListener('mouseenter', function() {
-            this.style.transform = 'translateX(5px)';
-            this.style.transition = 'transform 0.2s ease';
-        });
-        
-        item.addEventListener('mouseleave', function() {
-            this.style.transform = '';
-        });
-    });
-    
-    // Close dropdown when clicking outside
-    document.addEventListener('click', function(event) {
-        if (!dropdownToggle.contains(event.target) && !dropdownMenu.contains(event.target)) {
-            closeDropdown();
-        }
-    });
-    
-    /**
-     * Open dropdown with animation
-     */
-    function openDropdown() {
-        dropdownMenu.style.display = 'block';
-        dropdownMenu.style.opacity = '0';
-        dropdownMenu.style.transform = 'translateY(-10px)';
-        
-        setTimeout(() => {
-            dropdownMenu.style.opacity = '1';
-            dropdownMenu.style.transform = 'translateY(0)';
-            dropdownMenu.style.transition = 'all 0.2s ease';
-        }, 10);
-        
-        // Rotate arrow
-        const arrow = dropdownToggle.querySelector('span');
-        if (arrow) {
-            arrow.style.transform = 'rotate(180deg)';
-        }
-    }
-    
-    /**
-     * Close dropdown with animation
-     */
-    function closeDropdown() {
-        dropdownMenu.style.opacity = '0';
-        dropdownMenu.style.transform = 'translateY(-10px)';
-        
-        setTimeout(() => {
-            dropdownMenu.style.display = 'none';
-        }, 200);
-        
-        // Reset arrow
-        const arrow = dropdownToggle.querySelector('span');
-        if (arrow) {
-            arrow.style.transform = 'rotate(0deg)';
-        }
-    }
-}
-
-/**
- * Execute dropdown actions based on selection
- */
-function executeDropdownAction(action) {
-    switch(action) {
-        case 'alert':
-            alert('Hello! This is a dropdown action. 🎉');
-            break;
-            
-        case 'console':
-            const timestamp = new Date().toLocaleString();
-            console.log(`%cDropdown action executed at ${timestamp}`, 'color: #38a169; font-weight: bold;');
-            alert('Check the browser console for the logged message! 📝');
-            break;
-            
-        case 'color':
-            changePageColors();
-            break;
-            
-        case 'animate':
-            animatePage();
-            break;
-            
-        default:
-            console.warn('Unknown dropdown action:', action);
-    }
-}
-
-/**
- * Change page background with random gradient colors
- */
-function changePageColors() {
-    const colors = [
-        'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-        'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
-        'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)',
-        'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)',
-        'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
-        'linear-gradient(135deg, #a8edea 0%, #fed6e3 100%)',
-        'linear-gradient(135deg, #ff9a9e 0%, #fecfef 100%)'
-    ];
-    
-    const randomColor = colors[Math.floor(Math.random() * colors.length)];
-    const originalBackground = document.body.style.background;
-    
-    document.body.style.background = randomColor;
-    document.body.style.transition = 'background 0.5s ease';
-    
-    // Show notification
-    showNotification('🎨 Background color changed! It will reset in 3 seconds.');
-    
-    // Reset after 3 seconds
-    setTimeout(() => {
-        document.body.style.background = originalBackground;
-    }, 3000);
-}
-
-/**
- * Animate the entire page with a scale effect
- */
-function animatePage() {
-    const body = document.body;
-    body.style.transform = 'scale(0.95)';
-    body.style.transition = 'transform 0.3s ease';
-    
-    showNotification('✨ Page animation activated!');
-    
-    setTimeout(() => {
-        body.style.transform = 'scale(1.02)';
-    }, 150);
-    
-    setTimeout(() => {
-        body.style.transform = 'scale(1)';
-    }, 300);
-    
-    setTimeout(() => {
-        body.style.transform = '';
-        body.style.transition = '';
-    }, 600);
-}
-
-/**
- * Show a temporary notification message
- */
-function showNotification(message) {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.textContent = message;
-    notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #667eea;
-        color: white;
-        padding: 12px 20px;
-        border-radius: 6px;
-        z-index: 10000;
-        opacity: 0;
-        transform: translateY(-20px);
-        transition: all 0.3s ease;
-        font-weight: bold;
-        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Animate in
-    setTimeout(() => {
-        notification.style.opacity = '1';
-        notification.style.transform = 'translateY(0)';
-    }, 100);
-    
-    // Remove after 3 seconds
-    setTimeout(() => {
-        notification.style.opacity = '0';
-        notification.style.transform = 'translateY(-20px)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
-    }, 3000);
-}
-
-// =============================================================================
-// PART 3: COMPREHENSIVE FORM VALIDATION
-// =============================================================================
-
-/**
- * Advanced Form Validation System
- * Real-time validation with custom error messages and visual feedback
- */
-function initializeFormValidation() {
-    const form = document.getElementById('contactForm');
-    if (!form) return;
-    
-    const fields = {
-        fullName: document.getElementById('fullName'),
-        email: document.getElementById('email'),
-        phone: document.getElementById('phone'),
-        password: document.getElementById('password'),
-        confirmPassword: document.getElementById('confirmPassword'),
-        age: document.getElementById('age'),
-        website: document.getElementById('website'),
-        message: document.getElementById('message')
-    };
-
-    /**
-     * Validation Rules and Regular Expressions
-     */
-    const validationRules = {
-        fullName: {
-            required: true,
-            minLength: 2,
-            maxLength: 50,
-            pattern: /^[a-zA-Z\s'-]+$/,
-            message: 'Name must be 2-50 characters and contain only letters, spaces, hyphens, and apostrophes'
-        },
-        email: {
-            required: true,
-            pattern: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-            message: 'Please enter a valid email address (example: user@domain.com)'
-        },
-        phone: {
-            required: false,
-            pattern: /^[\+]?[(]?[\d\s\-\(\)]{10,}$/,
-            message: 'Please enter a valid phone number (at least 10 digits)'
-        },
-        password: {
-            required: true,
-            minLength: 8,
-            pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
-            message: 'Password must be at least 8 characters with uppercase, lowercase, number, and special character (@$!%*?&)'
-        },
-        confirmPassword: {
-            required: true,
-            message: 'Passwords do not match'
-        },
-        age: {
-            required: false,
-            min: 13,
-            max: 120,
-            message: 'Age must be between 13 and 120 years'
-        },
-        website: {
-            required: false,
-            pattern: /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/,
-            message: 'Please enter a valid URL (include http:// or https://)'
-        },
-        message: {
-            required: true,
-            minLength: 10,
-            maxLength: 500,
-            message: 'Message must be between 10 and 500 characters'
-        }
-    };
-
-    /**
-     * Validation function for individual fields
-     */
-    function validateField(fieldName, value) {
-        const rules = validationRules[fieldName];
-        if (!rules) return { isValid: true };
-
-        // Check if required field is empty
-        if (rules.required && (!value || value.trim() === '')) {
-            return { 
-                isValid: false, 
-                message: `${getFieldLabel(fieldName)} is required` 
-            };
-        }
-
-        // If field is empty and not required, it's valid
-        if (!value || value.trim() === '') {
-            return { isValid: true };
-        }
-
-        // Trim the value for further validation
-        value = value.trim();
-
-        // Check minimum length
-        if (rules.minLength && value.length < rules.minLength) {
-            return { isValid: false, message: rules.message };
-        }
-
-        // Check maximum length
-        if (rules.maxLength && value.length > rules.maxLength) {
-            return { isValid: false, message: rules.message };
-        }
-
-        // Check pattern (regex validation)
-        if (rules.pattern && !rules.pattern.test(value)) {
-            return { isValid: false, message: rules.message };
-        }
-
-        // Check numeric range for age
-        if (rules.min !== undefined || rules.max !== undefined) {
-            const numValue = parseInt(value, 10);
-            if (isNaN(numValue) || 
-                (rules.min !== undefined && numValue < rules.min) || 
-                (rules.max !== undefined && numValue > rules.max)) {
-                return { isValid: false, message: rules.message };
-            }
-        }
-
-        // Special validation for confirm password
-        if (fieldName === 'confirmPassword') {
-            const passwordValue = fields.password ? fields.password.value : '';
-            if (value !== passwordValue) {
-                return { isValid: false, message: rules.message };
-            }
-        }
-
-        return { isValid: true };
-    }
-
-    /**
-     * Get user-friendly field label for error messages
-     */
-    function getFieldLabel(fieldName) {
-        const labels = {
-            fullName: 'Full Name',
-            email: 'Email Address',
-            phone: 'Phone Number',
-            password: 'Password',
-            confirmPassword: 'Confirm Password',
-            age: 'Age',
-            website: 'Website',
-            message: 'Message'
-        };
-        return labels[fieldName] || fieldName;
-    }
-
-    /**
-     * Update field UI based on validation result
-     */
-    function updateFieldUI(fieldName, validationResult) {
-        const field = fields[fieldName];
-        if (!field) return;
-        
-        const errorElement = document.getElementById(fieldName + 'Error');
-        const successElement = document.getElementById(fieldName + 'Success');
-
-        if (validationResult.isValid) {
-            // Field is valid
-            field.classList.remove('error');
-            if (field.value.trim() !== '') {
-                field.classList.add('success');
-            }
-            
-            // Hide error message
-            if (errorElement) {
-                errorElement.style.display = 'none';
-            }
-            
-            // Show success message for filled fields
-            if (successElement && field.value.trim() !== '') {
-                successElement.style.display = 'block';
-            }
-        } else {
-            // Field has errors
-            field.classList.remove('success');
-            field.classList.add('error');
-            
-            // Hide success message
-            if (successElement) {
-                successElement.style.display = 'none';
-            }
-            
-            // Show error message
-            if (errorElement) {
-                errorElement.textContent = validationResult.message;
-                errorElement.style.display = 'block';
-            }
-        }
-    }
-
-    /**
-     * Debounce function to limit validation frequency
-     */
-    function debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
-
-    /**
-     * Set up real-time validation for all fields
-     */
-    Object.keys(fields).forEach(fieldName => {
-        const field = fields[fieldName];
-        if (!field) return;
-        
-        // Debounced validation function
-        const debouncedValidation = debounce(() => {
-            const validationResult = validateField(fieldName, field.value);
-            updateFieldUI(fieldName, validationResult);
-        }, 300);
-        
-        // Real-time validation on input
-        field.addEventListener('input', debouncedValidation);
-
-        // Immediate validation on blur (when user leaves field)
-        field.addEventListener('blur', function() {
-            const validationResult = validateField(fieldName, this.value);
-            updateFieldUI(fieldName, validationResult);
-        });
-
-        // Clear validation state on focus
-        field.addEventListener('focus', function() {
-            if (this.classList.contains('error')) {
-                this.classList.remove('error');
-                const errorElement = document.getElementById(fieldName + 'Error');
-                if (errorElement) {
-                    errorElement.style.display = 'none';
-                }
-            }
-        });
-    });
-
-    /**
-     * Handle form submission with comprehensive validation
-     */
-    form.addEventListener('submit', function(event) {
-        event.preventDefault();
-        
-        let isFormValid = true;
-        const formData = {};
-        const errors = [];
-
-        // Validate all fields
-        Object.keys(fields).forEach(fieldName => {
-            const field = fields[fieldName];
-            if (!field) return;
-            
-            const value = field.value;
-            const validationResult = validateField(fieldName, value);
-            
-            // Update UI
-            updateFieldUI(fieldName, validationResult);
-            
-            if (!validationResult.isValid) {
-                isFormValid = false;
-                errors.push({
-                    field: fieldName,
-                    message: validationResult.message
-                });
-            } else {
-                formData[fieldName] = value;
-            }
-        });
-
-        // Handle form submission result
-        const successMessage = document.getElementById('formSuccess');
-        
-        if (isFormValid) {
-            handleSuccessfulSubmission(formData, successMessage);
-        } else {
-            handleFailedSubmission(errors, successMessage);
-        }
-    });
-
-    /**
-     * Handle successful form submission
-     */
-    function handleSuccessfulSubmission(formData, successMessage) {
-        // Show success message
-        if (successMessage) {
-            successMessage.style.display = 'block';
-            successMessage.scrollIntoView({ behavior: 'smooth' });
-        }
-        
-        // Log form data to console
-        console.log('%cForm submitted successfully! 🎉', 'color: #38a169; font-size: 14px; font-weight: bold;');
-        console.log('Form Data:', formData);
-        
-        // Show notification
-        showNotification('🎉 Form submitted successfully!');
-        
-        // Optional: Reset form after confirmation
-        setTimeout(() => {
-            if (confirm('Form submitted successfully! Would you like to reset the form?')) {
-                resetForm();
-            }
-        }, 2000);
-    }
-
-    /**
-     * Handle failed form submission
-     */
-    function handleFailedSubmission(errors, successMessage) {
-        // Hide success message
-        if (successMessage) {
-            successMessage.style.display = 'none';
-        }
-        
-        // Log errors to console
-        console.log('%cForm validation failed ❌', 'color: #e53e3e; font-weight: bold;');
-        console.log('Validation Errors:', errors);
-        
-        // Focus on first field with error
-        const firstErrorField = Object.keys(fields).find(fieldName => {
-            const field = fields[fieldName];
-            return field && field.classList.contains('error');
-        });
-        
-        if (firstErrorField && fields[firstErrorField]) {
-            fields[firstErrorField].focus();
-            fields[firstErrorField].scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'center' 
-            });
-        }
-        
-        // Show error notification
-        showNotification('❌ Please fix the errors and try again');
-    }
-
-    /**
-     * Reset form to initial state
-     */
-    function resetForm() {
-        form.reset();
-        
-        // Clear all validation states
-        Object.keys(fields).forEach(fieldName => {
-            const field = fields[fieldName];
-            if (!field) return;
-            
-            field.classList.remove('success', 'error');
-            
-            const errorElement = document.getElementById(fieldName + 'Error');
-            const successElement = document.getElementById(fieldName + 'Success');
-            
-            if (errorElement) errorElement.style.display = 'none';
-            if (successElement) successElement.style.display = 'none';
-        });
-        
-        // Hide success message
-        const successMessage = document.getElementById('formSuccess');
-        if (successMessage) {
-            successMessage.style.display = 'none';
-        }
-        
-        showNotification('🔄 Form has been reset');
-    }
-}
-
-// =============================================================================
-// UTILITY FUNCTIONS AND ERROR HANDLING
-// =============================================================================
-
-/**
- * Global error handler for the application
- */
-window.addEventListener('error', function(event) {
-    console.error('JavaScript Error:', event.error);
-    showNotification('⚠️ An error occurred. Check the console for details.');
-});
-
-/**
- * Performance monitoring
- */
-window.addEventListener('load', function() {
-    const loadTime = performance.now();
-    console.log(`%cPage fully loaded in ${loadTime.toFixed(2)}ms`, 
-        'color: #667eea; font-weight: bold;');
-    console.log('%cTry these keyboard shortcuts:', 'color: #38a169; font-weight: bold;');
-    console.log('• Arrow Up/Down: Increment/Decrement counter');
-    console.log('• Spacebar: Reset counter to zero');
-});
-
-/**
- * Smooth scroll utility function
- */
-function smoothScrollTo(element) {
-    if (element) {
-        element.scrollIntoView({
-            behavior: 'smooth',
-            block: 'center'
-        });
-    }
-}
-
-/**
- * Check if element is in viewport
- */
-function isElementInViewport(element) {
-    const rect = element.getBoundingClientRect();
-    return (
-        rect.top >= 0 &&
-        rect.left >= 0 &&
-        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-    );
-}
-
-// =============================================================================
-// END OF SCRIPT
-// =============================================================================
-
-console.log('%c✅ Interactive Web Assignment JavaScript Fully Loaded!', 
-    'color: #38a169; font-size: 14px; font-weight: bold;');
\ No newline at end of file
+/**
+ * Interactive Web Pages Assignment - JavaScript Implementation
+ * This file contains all the interactive functionality for the web application
+ * including event handling, DOM manipulation, and form validation.
+ */
+
+// =============================================================================
+// PART 1: EVENT HANDLING AND DOM SETUP
+// =============================================================================
+
+/**
+ * Initialize all interactive elements when the DOM is fully loaded
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    initializeI18n();
+    initializeThemePicker();
+    initializeMotionToggle();
+    initializeCounter();
+    initializeFAQ();
+    initializeTabs();
+    initializeDropdown();
+    initializeFormValidation();
+    initializeSubmissionsPanel();
+    
+    // Log successful initialization
+    console.log('%c🚀 Interactive Web Assignment Loaded Successfully!', 
+        `color: ${themeColor('primary')}; font-size: 16px; font-weight: bold;`);
+});
+
+/**
+ * Values kept for this page view when localStorage can't be used
+ * (private browsing, storage disabled or full); defined up here because the
+ * counter reads its saved state while the script loads
+ */
+const memoryStorage = new Map();
+
+/**
+ * Read a value saved with writeStorage(), or `fallback` when there is none
+ * Plain strings saved by earlier versions are returned as they are.
+ */
+function readStorage(key, fallback = null) {
+    let stored = null;
+    try {
+        stored = window.localStorage.getItem(key);
+    } catch (e) {
+        // Storage is unavailable; look in memory instead
+    }
+    if (stored === null) {
+        return memoryStorage.has(key) ? memoryStorage.get(key) : fallback;
+    }
+    
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        return stored;
+    }
+}
+
+/**
+ * Save a JSON-serializable value across reloads (or for this page view
+ * when localStorage is unavailable)
+ */
+function writeStorage(key, value) {
+    memoryStorage.set(key, value);
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        // Kept in memory only
+    }
+}
+
+function removeStorage(key) {
+    memoryStorage.delete(key);
+    try {
+        window.localStorage.removeItem(key);
+    } catch (e) {
+        // Nothing stored to remove
+    }
+}
+
+// =============================================================================
+// LOCALIZATION (i18n)
+// =============================================================================
+
+/**
+ * Locales the page ships with, and the ones written right-to-left
+ */
+const SUPPORTED_LOCALES = {
+    en: 'English',
+    es: 'Español',
+    ar: 'العربية'
+};
+
+const RTL_LOCALES = ['ar', 'he', 'fa', 'ur'];
+
+/**
+ * Message catalogs
+ * Values may contain {placeholders}; `{name, datetime}` formats a timestamp.
+ * Messages that depend on a `count` are objects keyed by plural category
+ * (zero, one, two, few, many, other - see Intl.PluralRules).
+ */
+const MESSAGES = {
+    en: {
+        'app.title': '🚀 Interactive Web Experience',
+        'locale.label': 'Language',
+        'theme.label': 'Theme',
+        'theme.system': '🖥️ System',
+        'theme.light': '☀️ Light',
+        'theme.dark': '🌙 Dark',
+        'theme.high-contrast': '◐ High contrast',
+        'motion.disable': 'Disable animations',
+
+        'counter.title': '🎮 Interactive Counter Game',
+        'counter.intro': 'Test your clicking skills! Try different actions and see the counter respond.',
+        'counter.reset': 'Reset',
+        'counter.random': 'Random',
+        'counter.undo': '↶ Undo',
+        'counter.redo': '↷ Redo',
+        'counter.history': 'History',
+        'counter.op.reset': 'reset',
+        'counter.op.random': 'random → {value}',
+        'counter.op.set': 'set → {value}',
+        'counter.limit.min': "The counter can't go below {min}",
+        'counter.limit.max': "The counter can't go above {max}",
+        'game.title': '🏁 Challenges',
+        'game.modeLabel': 'Game mode',
+        'game.mode.target': 'Reach the target',
+        'game.mode.cps': 'Clicks per second',
+        'game.mode.random': 'Random targets',
+        'game.start': 'Start',
+        'game.stop': 'Give up',
+        'game.timeLeft': '⏱ {seconds} s',
+        'game.status.target': 'Reach {target}. Moves: {moves} (best possible: {optimal})',
+        'game.status.cps': 'Click +1 as fast as you can! Clicks: {clicks}',
+        'game.status.randomWaiting': 'Press Random for a target. Targets hit: {hits}',
+        'game.status.random': 'Reach {target}! Targets hit: {hits}',
+        'game.result.target': {
+            one: 'You reached {target} in {score} move (best possible: {optimal}).',
+            other: 'You reached {target} in {score} moves (best possible: {optimal}).'
+        },
+        'game.result.cps': 'You managed {score} clicks per second.',
+        'game.result.random': {
+            one: 'You hit {score} target.',
+            other: 'You hit {score} targets.'
+        },
+        'game.result.timeUp': "⏰ Time's up! Try again.",
+        'game.result.gaveUp': 'Round abandoned.',
+        'game.result.highScore': "🏆 That's a top 10 score!",
+        'game.nameLabel': 'Your name for the leaderboard',
+        'game.nameInvalid': 'Enter a name of 2 to 20 characters',
+        'game.saveScore': 'Save score',
+        'game.scoreSaved': '🏆 Score saved to the leaderboard',
+        'game.leaderboard': 'Top 10',
+        'game.noScores': 'No scores yet. Be the first!',
+        'game.score.target': {
+            one: '{score} move',
+            other: '{score} moves'
+        },
+        'game.score.cps': '{score} clicks/s',
+        'game.score.random': {
+            one: '{score} target',
+            other: '{score} targets'
+        },
+
+        'faq.title': '❓ Collapsible FAQ',
+        'faq.intro': 'Click on questions to reveal answers with smooth animations.',
+        'faq.expandAll': 'Expand all',
+        'faq.collapseAll': 'Collapse all',
+        'faq.searchLabel': 'Search the FAQ',
+        'faq.searchPlaceholder': 'Search questions and answers…',
+        'faq.results': {
+            one: '{count} matching question',
+            other: '{count} matching questions'
+        },
+        'faq.noResults': 'No questions match your search. Try different words.',
+        'faq.loadError': 'The FAQ could not be loaded. Please try again later.',
+
+        'tabs.title': '📑 Tabbed Content Interface',
+        'tabs.intro': 'Navigate through different sections using tabs.',
+        'tabs.overview': 'Overview',
+        'tabs.features': 'Features',
+        'tabs.examples': 'Examples',
+        'tabs.resources': 'Resources',
+
+        'dropdown.title': '📋 Interactive Dropdown',
+        'dropdown.intro': 'Click the button below to see a custom dropdown menu in action.',
+        'dropdown.toggle': 'Choose Action',
+        'dropdown.alert': 'Show Alert',
+        'dropdown.console': 'Log to Console',
+        'dropdown.color': 'Change Colors',
+        'dropdown.animate': 'Animate Page',
+        'dropdown.alertMessage': 'Hello! This is a dropdown action. 🎉',
+        'dropdown.consoleMessage': 'Check the browser console for the logged message! 📝',
+
+        'form.title': '📝 Advanced Form Validation',
+        'form.intro': 'Fill out this form to see real-time validation in action. All validation is handled by custom JavaScript.',
+        'form.fullName.label': 'Full Name *',
+        'form.fullName.success': '✓ Name looks good!',
+        'form.fullName.invalid': 'Name can only contain letters, spaces, hyphens and apostrophes',
+        'form.email.label': 'Email Address *',
+        'form.email.success': '✓ Valid email address!',
+        'form.email.invalid': 'Please enter a valid email address (example: user@domain.com)',
+        'email.suggestion': 'Did you mean {suggestion}?',
+        'form.contactMethod.label': 'Preferred contact method',
+        'form.contactMethod.email': 'Email',
+        'form.contactMethod.phone': 'Phone',
+        'form.phone.label': 'Phone Number',
+        'form.phone.success': '✓ Valid phone number!',
+        'form.phoneCountry.label': 'Country code',
+        'mask.phone.invalid': 'Enter a phone number for {country}, like {example}',
+        'form.password.label': 'Password *',
+        'form.confirmPassword.label': 'Confirm Password *',
+        'form.confirmPassword.success': '✓ Passwords match!',
+        'form.confirmPassword.invalid': 'Passwords do not match',
+        'form.age.label': 'Age',
+        'form.age.success': '✓ Valid age!',
+        'form.age.invalid': 'Age must be between {min} and {max} years',
+        'form.hasWebsite.label': 'I have a website',
+        'form.website.label': 'Website',
+        'form.website.success': '✓ Valid URL!',
+        'form.website.invalid': 'Please enter a valid URL (include http:// or https://)',
+        'form.message.label': 'Message *',
+        'form.message.success': '✓ Message looks good!',
+        'form.message.invalid': 'Message must be between {minLength} and {maxLength} characters',
+        'form.submit': 'Submit Form',
+        'form.sending': 'Sending…',
+        'form.retrying': 'Retrying ({attempt}/{retries})…',
+        'form.successTitle': '🎉 Success!',
+        'form.successText': 'Your form has been submitted successfully. All validation checks passed!',
+        'form.step.about': 'About You',
+        'form.step.account': 'Account',
+        'form.step.details': 'Details',
+        'wizard.back': '← Back',
+        'wizard.next': 'Next →',
+        'wizard.progress': 'Step {current} of {total}',
+        'wizard.review': 'Review',
+        'wizard.reviewTitle': 'Review your answers',
+        'wizard.reviewIntro': 'Check everything below, then submit the form.',
+        'wizard.edit': 'Edit',
+        'wizard.empty': '—',
+        'errorSummary.title': {
+            one: 'There is a problem with this form',
+            other: 'There are {count} problems with this form'
+        },
+
+        'validation.required': '{label} is required',
+        'validation.invalid': '{label} is not valid',
+        'validation.requiredOneOf': 'Enter {label} or {other}',
+        'validation.before': '{label} must be before {other}',
+        'validation.after': '{label} must be after {other}',
+        'validation.minLength': {
+            one: '{label} must be at least {count} character',
+            other: '{label} must be at least {count} characters'
+        },
+        'validation.maxLength': {
+            one: '{label} must be at most {count} character',
+            other: '{label} must be at most {count} characters'
+        },
+        'validation.min': '{label} must be at least {min}',
+        'validation.max': '{label} must be at most {max}',
+        'validation.lowercase': '{label} needs a lowercase letter',
+        'validation.uppercase': '{label} needs an uppercase letter',
+        'validation.digit': '{label} needs a number',
+        'validation.symbol': '{label} needs a symbol, such as ! or @',
+        'constraint.listLabel': 'Requirements',
+        'constraint.met': '(done)',
+        'constraint.unmet': '(not yet)',
+        'constraint.minLength': {
+            one: 'At least {count} character',
+            other: 'At least {count} characters'
+        },
+        'constraint.maxLength': {
+            one: 'No more than {count} character',
+            other: 'No more than {count} characters'
+        },
+        'constraint.lowercase': 'A lowercase letter',
+        'constraint.uppercase': 'An uppercase letter',
+        'constraint.digit': 'A number',
+        'constraint.symbol': 'A symbol, such as ! or @',
+        'constraint.strength': 'Hard to guess',
+        'validation.checking': 'Checking…',
+        'validation.verifyFailed': 'Could not verify {label}. Please try again.',
+
+        'password.level.0': 'Very weak',
+        'password.level.1': 'Weak',
+        'password.level.2': 'Fair',
+        'password.level.3': 'Strong',
+        'password.level.4': 'Very strong',
+        'password.strength': 'Strength: {level}',
+        'password.success': '✓ {level} password!',
+        'password.tooWeak': 'Password strength: {level}.',
+        'password.warning.common': 'This is one of the most commonly used passwords.',
+        'password.warning.commonWord': 'It contains "{word}", which is common in leaked passwords.',
+        'password.warning.personal': 'It contains your name or email address.',
+        'password.warning.repeat': 'Repeated characters like "aaa" or "abcabc" are easy to guess.',
+        'password.warning.sequence': 'Sequences like "abc", "123" or "qwerty" are easy to guess.',
+        'password.suggestion.length': {
+            one: 'Use at least {count} character.',
+            other: 'Use at least {count} characters.'
+        },
+        'password.suggestion.words': 'Add a few unrelated, uncommon words.',
+        'password.suggestion.leet': 'Don\'t rely on look-alike swaps such as "@" for "a".',
+        'password.suggestion.patterns': 'Avoid repeats and keyboard or alphabet sequences.',
+        'password.suggestion.years': 'Avoid years and dates that are linked to you.',
+        'password.suggestion.variety': 'Mix in uppercase letters, numbers or symbols.',
+
+        'draft.found': 'You have an unsaved draft from {savedAt, datetime}.',
+        'draft.restore': 'Restore draft',
+        'draft.discard': 'Discard',
+
+        'submissions.title': '🗂️ Submissions',
+        'submissions.intro': 'Every successful submission is kept in this browser (passwords excepted). Open one to fill the form with it again.',
+        'submissions.searchLabel': 'Search submissions',
+        'submissions.searchPlaceholder': 'Search…',
+        'submissions.exportCsv': 'Export CSV',
+        'submissions.exportJson': 'Export JSON',
+        'submissions.import': 'Import JSON',
+        'submissions.clear': 'Delete all',
+        'submissions.open': 'Open',
+        'submissions.delete': 'Delete',
+        'submissions.submittedAt': 'Sent {submittedAt, datetime}',
+        'submissions.count': {
+            one: '{count} submission',
+            other: '{count} submissions'
+        },
+        'submissions.matches': {
+            one: '{count} matching submission',
+            other: '{count} matching submissions'
+        },
+        'submissions.empty': 'No submissions yet.',
+        'submissions.noMatches': 'No submissions match your search.',
+        'submissions.deleted': 'Submission deleted',
+        'submissions.undo': 'Undo',
+        'submissions.cleared': 'All submissions deleted',
+        'submissions.confirmClear': 'Delete all saved submissions? This cannot be undone.',
+        'submissions.opened': 'Submission loaded into the form',
+        'submissions.imported': {
+            one: '{count} submission imported',
+            other: '{count} submissions imported'
+        },
+        'submissions.importedNone': 'No new submissions in that file',
+        'submissions.importError': 'That file is not a submissions export.',
+
+        'submitError.timeout': 'The server took too long to respond.',
+        'submitError.network': 'Could not reach the server.',
+        'submitError.status': 'The server responded with an error ({status}).',
+        'submitError.unknown': 'Something went wrong while sending the form.',
+
+        'notify.colorChanged': {
+            one: '🎨 Background color changed! It will reset in {count} second.',
+            other: '🎨 Background color changed! It will reset in {count} seconds.'
+        },
+        'notify.animated': '✨ Page animation activated!',
+        'notify.submitted': '🎉 Form submitted successfully!',
+        'notify.fixErrors': {
+            one: '❌ Please fix the error and try again',
+            other: '❌ Please fix {count} errors and try again'
+        },
+        'notify.reset': '🔄 Form has been reset',
+        'notify.sendFailed': '❌ {reason} Please try again.',
+        'notify.serverRejected': '❌ The server rejected the form. Please check your entries.',
+        'notify.error': '⚠️ An error occurred. Check the console for details.',
+        'toast.close': 'Dismiss notification',
+        'toast.undo': 'Undo',
+        'toast.retry': 'Retry',
+        'toast.resetForm': 'Reset form'
+    },
+
+    es: {
+        'app.title': '🚀 Experiencia Web Interactiva',
+        'locale.label': 'Idioma',
+        'theme.label': 'Tema',
+        'theme.system': '🖥️ Sistema',
+        'theme.light': '☀️ Claro',
+        'theme.dark': '🌙 Oscuro',
+        'theme.high-contrast': '◐ Alto contraste',
+        'motion.disable': 'Desactivar animaciones',
+
+        'counter.title': '🎮 Juego del contador interactivo',
+        'counter.intro': '¡Pon a prueba tus clics! Prueba distintas acciones y mira cómo responde el contador.',
+        'counter.reset': 'Reiniciar',
+        'counter.random': 'Aleatorio',
+        'counter.undo': '↶ Deshacer',
+        'counter.redo': '↷ Rehacer',
+        'counter.history': 'Historial',
+        'counter.op.reset': 'reinicio',
+        'counter.op.random': 'aleatorio → {value}',
+        'counter.op.set': 'fijado → {value}',
+        'counter.limit.min': 'El contador no puede bajar de {min}',
+        'counter.limit.max': 'El contador no puede pasar de {max}',
+        'game.title': '🏁 Desafíos',
+        'game.modeLabel': 'Modo de juego',
+        'game.mode.target': 'Alcanza el objetivo',
+        'game.mode.cps': 'Clics por segundo',
+        'game.mode.random': 'Objetivos aleatorios',
+        'game.start': 'Empezar',
+        'game.stop': 'Rendirse',
+        'game.timeLeft': '⏱ {seconds} s',
+        'game.status.target': 'Llega a {target}. Movimientos: {moves} (mínimo posible: {optimal})',
+        'game.status.cps': '¡Pulsa +1 lo más rápido que puedas! Clics: {clicks}',
+        'game.status.randomWaiting': 'Pulsa Aleatorio para obtener un objetivo. Objetivos alcanzados: {hits}',
+        'game.status.random': '¡Llega a {target}! Objetivos alcanzados: {hits}',
+        'game.result.target': {
+            one: 'Llegaste a {target} en {score} movimiento (mínimo posible: {optimal}).',
+            other: 'Llegaste a {target} en {score} movimientos (mínimo posible: {optimal}).'
+        },
+        'game.result.cps': 'Conseguiste {score} clics por segundo.',
+        'game.result.random': {
+            one: 'Alcanzaste {score} objetivo.',
+            other: 'Alcanzaste {score} objetivos.'
+        },
+        'game.result.timeUp': '⏰ ¡Se acabó el tiempo! Inténtalo de nuevo.',
+        'game.result.gaveUp': 'Ronda abandonada.',
+        'game.result.highScore': '🏆 ¡Es una puntuación del top 10!',
+        'game.nameLabel': 'Tu nombre para la clasificación',
+        'game.nameInvalid': 'Escribe un nombre de 2 a 20 caracteres',
+        'game.saveScore': 'Guardar puntuación',
+        'game.scoreSaved': '🏆 Puntuación guardada en la clasificación',
+        'game.leaderboard': 'Top 10',
+        'game.noScores': 'Todavía no hay puntuaciones. ¡Sé el primero!',
+        'game.score.target': {
+            one: '{score} movimiento',
+            other: '{score} movimientos'
+        },
+        'game.score.cps': '{score} clics/s',
+        'game.score.random': {
+            one: '{score} objetivo',
+            other: '{score} objetivos'
+        },
+
+        'faq.title': '❓ Preguntas frecuentes desplegables',
+        'faq.intro': 'Haz clic en las preguntas para ver las respuestas con animaciones suaves.',
+        'faq.expandAll': 'Desplegar todo',
+        'faq.collapseAll': 'Plegar todo',
+        'faq.searchLabel': 'Buscar en las preguntas frecuentes',
+        'faq.searchPlaceholder': 'Buscar preguntas y respuestas…',
+        'faq.results': {
+            one: '{count} pregunta coincide',
+            other: '{count} preguntas coinciden'
+        },
+        'faq.noResults': 'Ninguna pregunta coincide con tu búsqueda. Prueba con otras palabras.',
+        'faq.loadError': 'No se pudieron cargar las preguntas frecuentes. Inténtalo más tarde.',
+
+        'tabs.title': '📑 Interfaz de pestañas',
+        'tabs.intro': 'Navega por las distintas secciones usando las pestañas.',
+        'tabs.overview': 'Resumen',
+        'tabs.features': 'Funciones',
+        'tabs.examples': 'Ejemplos',
+        'tabs.resources': 'Recursos',
+
+        'dropdown.title': '📋 Menú desplegable interactivo',
+        'dropdown.intro': 'Haz clic en el botón para ver un menú desplegable personalizado en acción.',
+        'dropdown.toggle': 'Elegir acción',
+        'dropdown.alert': 'Mostrar alerta',
+        'dropdown.console': 'Registrar en consola',
+        'dropdown.color': 'Cambiar colores',
+        'dropdown.animate': 'Animar página',
+        'dropdown.alertMessage': '¡Hola! Esta es una acción del menú desplegable. 🎉',
+        'dropdown.consoleMessage': '¡Revisa la consola del navegador para ver el mensaje registrado! 📝',
+
+        'form.title': '📝 Validación avanzada de formularios',
+        'form.intro': 'Completa este formulario para ver la validación en tiempo real. Toda la validación se hace con JavaScript propio.',
+        'form.fullName.label': 'Nombre completo *',
+        'form.fullName.success': '✓ ¡El nombre se ve bien!',
+        'form.fullName.invalid': 'El nombre solo puede contener letras, espacios, guiones y apóstrofos',
+        'form.email.label': 'Correo electrónico *',
+        'form.email.success': '✓ ¡Correo electrónico válido!',
+        'form.email.invalid': 'Introduce un correo electrónico válido (ejemplo: usuario@dominio.com)',
+        'email.suggestion': '¿Quisiste decir {suggestion}?',
+        'form.contactMethod.label': 'Forma de contacto preferida',
+        'form.contactMethod.email': 'Correo electrónico',
+        'form.contactMethod.phone': 'Teléfono',
+        'form.phone.label': 'Teléfono',
+        'form.phone.success': '✓ ¡Teléfono válido!',
+        'form.phoneCountry.label': 'Prefijo del país',
+        'mask.phone.invalid': 'Introduce un teléfono de {country}, como {example}',
+        'form.password.label': 'Contraseña *',
+        'form.confirmPassword.label': 'Confirmar contraseña *',
+        'form.confirmPassword.success': '✓ ¡Las contraseñas coinciden!',
+        'form.confirmPassword.invalid': 'Las contraseñas no coinciden',
+        'form.age.label': 'Edad',
+        'form.age.success': '✓ ¡Edad válida!',
+        'form.age.invalid': 'La edad debe estar entre {min} y {max} años',
+        'form.hasWebsite.label': 'Tengo un sitio web',
+        'form.website.label': 'Sitio web',
+        'form.website.success': '✓ ¡URL válida!',
+        'form.website.invalid': 'Introduce una URL válida (incluye http:// o https://)',
+        'form.message.label': 'Mensaje *',
+        'form.message.success': '✓ ¡El mensaje se ve bien!',
+        'form.message.invalid': 'El mensaje debe tener entre {minLength} y {maxLength} caracteres',
+        'form.submit': 'Enviar formulario',
+        'form.sending': 'Enviando…',
+        'form.retrying': 'Reintentando ({attempt}/{retries})…',
+        'form.successTitle': '🎉 ¡Listo!',
+        'form.successText': 'Tu formulario se ha enviado correctamente. ¡Todas las validaciones se han superado!',
+        'form.step.about': 'Sobre ti',
+        'form.step.account': 'Cuenta',
+        'form.step.details': 'Detalles',
+        'wizard.back': '← Atrás',
+        'wizard.next': 'Siguiente →',
+        'wizard.progress': 'Paso {current} de {total}',
+        'wizard.review': 'Revisión',
+        'wizard.reviewTitle': 'Revisa tus respuestas',
+        'wizard.reviewIntro': 'Comprueba todo y después envía el formulario.',
+        'wizard.edit': 'Editar',
+        'wizard.empty': '—',
+        'errorSummary.title': {
+            one: 'Hay un problema en el formulario',
+            other: 'Hay {count} problemas en el formulario'
+        },
+
+        'validation.required': '{label} es obligatorio',
+        'validation.invalid': '{label} no es válido',
+        'validation.requiredOneOf': 'Indica {label} o {other}',
+        'validation.before': '{label} debe ser anterior a {other}',
+        'validation.after': '{label} debe ser posterior a {other}',
+        'validation.minLength': {
+            one: '{label} debe tener al menos {count} carácter',
+            other: '{label} debe tener al menos {count} caracteres'
+        },
+        'validation.maxLength': {
+            one: '{label} debe tener como máximo {count} carácter',
+            other: '{label} debe tener como máximo {count} caracteres'
+        },
+        'validation.min': '{label} debe ser al menos {min}',
+        'validation.max': '{label} debe ser como máximo {max}',
+        'validation.lowercase': '{label} necesita una letra minúscula',
+        'validation.uppercase': '{label} necesita una letra mayúscula',
+        'validation.digit': '{label} necesita un número',
+        'validation.symbol': '{label} necesita un símbolo, como ! o @',
+        'constraint.listLabel': 'Requisitos',
+        'constraint.met': '(cumplido)',
+        'constraint.unmet': '(pendiente)',
+        'constraint.minLength': {
+            one: 'Al menos {count} carácter',
+            other: 'Al menos {count} caracteres'
+        },
+        'constraint.maxLength': {
+            one: 'No más de {count} carácter',
+            other: 'No más de {count} caracteres'
+        },
+        'constraint.lowercase': 'Una letra minúscula',
+        'constraint.uppercase': 'Una letra mayúscula',
+        'constraint.digit': 'Un número',
+        'constraint.symbol': 'Un símbolo, como ! o @',
+        'constraint.strength': 'Difícil de adivinar',
+        'validation.checking': 'Comprobando…',
+        'validation.verifyFailed': 'No se pudo comprobar {label}. Inténtalo de nuevo.',
+
+        'password.level.0': 'Muy débil',
+        'password.level.1': 'Débil',
+        'password.level.2': 'Aceptable',
+        'password.level.3': 'Fuerte',
+        'password.level.4': 'Muy fuerte',
+        'password.strength': 'Seguridad: {level}',
+        'password.success': '✓ Contraseña: {level}',
+        'password.tooWeak': 'Seguridad de la contraseña: {level}.',
+        'password.warning.common': 'Es una de las contraseñas más usadas.',
+        'password.warning.commonWord': 'Contiene "{word}", algo habitual en contraseñas filtradas.',
+        'password.warning.personal': 'Contiene tu nombre o tu correo electrónico.',
+        'password.warning.repeat': 'Las repeticiones como "aaa" o "abcabc" son fáciles de adivinar.',
+        'password.warning.sequence': 'Las secuencias como "abc", "123" o "qwerty" son fáciles de adivinar.',
+        'password.suggestion.length': {
+            one: 'Usa al menos {count} carácter.',
+            other: 'Usa al menos {count} caracteres.'
+        },
+        'password.suggestion.words': 'Añade algunas palabras poco comunes y sin relación entre sí.',
+        'password.suggestion.leet': 'Cambiar letras por símbolos parecidos ("@" por "a") no ayuda mucho.',
+        'password.suggestion.patterns': 'Evita repeticiones y secuencias del teclado o del alfabeto.',
+        'password.suggestion.years': 'Evita años y fechas relacionados contigo.',
+        'password.suggestion.variety': 'Combina mayúsculas, números o símbolos.',
+
+        'draft.found': 'Tienes un borrador sin enviar del {savedAt, datetime}.',
+        'draft.restore': 'Recuperar borrador',
+        'draft.discard': 'Descartar',
+
+        'submissions.title': '🗂️ Envíos',
+        'submissions.intro': 'Cada envío correcto se guarda en este navegador (salvo las contraseñas). Abre uno para volver a rellenar el formulario con él.',
+        'submissions.searchLabel': 'Buscar envíos',
+        'submissions.searchPlaceholder': 'Buscar…',
+        'submissions.exportCsv': 'Exportar CSV',
+        'submissions.exportJson': 'Exportar JSON',
+        'submissions.import': 'Importar JSON',
+        'submissions.clear': 'Borrar todo',
+        'submissions.open': 'Abrir',
+        'submissions.delete': 'Borrar',
+        'submissions.submittedAt': 'Enviado el {submittedAt, datetime}',
+        'submissions.count': {
+            one: '{count} envío',
+            other: '{count} envíos'
+        },
+        'submissions.matches': {
+            one: '{count} envío coincidente',
+            other: '{count} envíos coincidentes'
+        },
+        'submissions.empty': 'Todavía no hay envíos.',
+        'submissions.noMatches': 'Ningún envío coincide con tu búsqueda.',
+        'submissions.deleted': 'Envío borrado',
+        'submissions.undo': 'Deshacer',
+        'submissions.cleared': 'Se han borrado todos los envíos',
+        'submissions.confirmClear': '¿Borrar todos los envíos guardados? No se puede deshacer.',
+        'submissions.opened': 'Envío cargado en el formulario',
+        'submissions.imported': {
+            one: '{count} envío importado',
+            other: '{count} envíos importados'
+        },
+        'submissions.importedNone': 'El archivo no tiene envíos nuevos',
+        'submissions.importError': 'Ese archivo no es una exportación de envíos.',
+
+        'submitError.timeout': 'El servidor tardó demasiado en responder.',
+        'submitError.network': 'No se pudo conectar con el servidor.',
+        'submitError.status': 'El servidor respondió con un error ({status}).',
+        'submitError.unknown': 'Algo salió mal al enviar el formulario.',
+
+        'notify.colorChanged': {
+            one: '🎨 ¡Color de fondo cambiado! Volverá al original en {count} segundo.',
+            other: '🎨 ¡Color de fondo cambiado! Volverá al original en {count} segundos.'
+        },
+        'notify.animated': '✨ ¡Animación de página activada!',
+        'notify.submitted': '🎉 ¡Formulario enviado correctamente!',
+        'notify.fixErrors': {
+            one: '❌ Corrige el error e inténtalo de nuevo',
+            other: '❌ Corrige los {count} errores e inténtalo de nuevo'
+        },
+        'notify.reset': '🔄 Se ha vaciado el formulario',
+        'notify.sendFailed': '❌ {reason} Inténtalo de nuevo.',
+        'notify.serverRejected': '❌ El servidor rechazó el formulario. Revisa los datos.',
+        'notify.error': '⚠️ Se produjo un error. Revisa la consola para más detalles.',
+        'toast.close': 'Cerrar notificación',
+        'toast.undo': 'Deshacer',
+        'toast.retry': 'Reintentar',
+        'toast.resetForm': 'Vaciar formulario'
+    },
+
+    ar: {
+        'app.title': '🚀 تجربة ويب تفاعلية',
+        'locale.label': 'اللغة',
+        'theme.label': 'المظهر',
+        'theme.system': '🖥️ النظام',
+        'theme.light': '☀️ فاتح',
+        'theme.dark': '🌙 داكن',
+        'theme.high-contrast': '◐ تباين عالٍ',
+        'motion.disable': 'إيقاف الحركة',
+
+        'counter.title': '🎮 لعبة العداد التفاعلية',
+        'counter.intro': 'اختبر مهارتك في النقر! جرّب إجراءات مختلفة وشاهد استجابة العداد.',
+        'counter.reset': 'إعادة تعيين',
+        'counter.random': 'عشوائي',
+        'counter.undo': '↶ تراجع',
+        'counter.redo': '↷ إعادة',
+        'counter.history': 'السجل',
+        'counter.op.reset': 'إعادة تعيين',
+        'counter.op.random': 'عشوائي ← {value}',
+        'counter.op.set': 'تعيين ← {value}',
+        'counter.limit.min': 'لا يمكن أن ينزل العداد عن {min}',
+        'counter.limit.max': 'لا يمكن أن يتجاوز العداد {max}',
+        'game.title': '🏁 التحديات',
+        'game.modeLabel': 'وضع اللعب',
+        'game.mode.target': 'الوصول إلى الهدف',
+        'game.mode.cps': 'نقرات في الثانية',
+        'game.mode.random': 'أهداف عشوائية',
+        'game.start': 'ابدأ',
+        'game.stop': 'استسلام',
+        'game.timeLeft': '⏱ {seconds} ث',
+        'game.status.target': 'صِل إلى {target}. الحركات: {moves} (أقل عدد ممكن: {optimal})',
+        'game.status.cps': 'انقر ‎+1 بأسرع ما يمكنك! النقرات: {clicks}',
+        'game.status.randomWaiting': 'اضغط عشوائي للحصول على هدف. الأهداف المحققة: {hits}',
+        'game.status.random': 'صِل إلى {target}! الأهداف المحققة: {hits}',
+        'game.result.target': {
+            zero: 'وصلت إلى {target} في {score} حركة (أقل عدد ممكن: {optimal}).',
+            one: 'وصلت إلى {target} في حركة واحدة (أقل عدد ممكن: {optimal}).',
+            two: 'وصلت إلى {target} في حركتين (أقل عدد ممكن: {optimal}).',
+            few: 'وصلت إلى {target} في {score} حركات (أقل عدد ممكن: {optimal}).',
+            many: 'وصلت إلى {target} في {score} حركة (أقل عدد ممكن: {optimal}).',
+            other: 'وصلت إلى {target} في {score} حركة (أقل عدد ممكن: {optimal}).'
+        },
+        'game.result.cps': 'حققت {score} نقرة في الثانية.',
+        'game.result.random': {
+            zero: 'أصبت {score} هدف.',
+            one: 'أصبت هدفًا واحدًا.',
+            two: 'أصبت هدفين.',
+            few: 'أصبت {score} أهداف.',
+            many: 'أصبت {score} هدفًا.',
+            other: 'أصبت {score} هدف.'
+        },
+        'game.result.timeUp': '⏰ انتهى الوقت! حاول مرة أخرى.',
+        'game.result.gaveUp': 'تم التخلي عن الجولة.',
+        'game.result.highScore': '🏆 هذه نتيجة ضمن أفضل 10!',
+        'game.nameLabel': 'اسمك في لوحة الصدارة',
+        'game.nameInvalid': 'أدخل اسمًا من 2 إلى 20 حرفًا',
+        'game.saveScore': 'حفظ النتيجة',
+        'game.scoreSaved': '🏆 تم حفظ النتيجة في لوحة الصدارة',
+        'game.leaderboard': 'أفضل 10',
+        'game.noScores': 'لا توجد نتائج بعد. كن الأول!',
+        'game.score.target': {
+            zero: '{score} حركة',
+            one: 'حركة واحدة',
+            two: 'حركتان',
+            few: '{score} حركات',
+            many: '{score} حركة',
+            other: '{score} حركة'
+        },
+        'game.score.cps': '{score} نقرة/ث',
+        'game.score.random': {
+            zero: '{score} هدف',
+            one: 'هدف واحد',
+            two: 'هدفان',
+            few: '{score} أهداف',
+            many: '{score} هدفًا',
+            other: '{score} هدف'
+        },
+
+        'faq.title': '❓ الأسئلة الشائعة',
+        'faq.intro': 'انقر على الأسئلة لعرض الإجابات.',
+        'faq.expandAll': 'توسيع الكل',
+        'faq.collapseAll': 'طي الكل',
+        'faq.searchLabel': 'البحث في الأسئلة الشائعة',
+        'faq.searchPlaceholder': 'ابحث في الأسئلة والإجابات…',
+        'faq.results': {
+            zero: 'لا توجد أسئلة مطابقة',
+            one: 'سؤال واحد مطابق',
+            two: 'سؤالان مطابقان',
+            few: '{count} أسئلة مطابقة',
+            many: '{count} سؤالًا مطابقًا',
+            other: '{count} سؤال مطابق'
+        },
+        'faq.noResults': 'لا توجد أسئلة تطابق بحثك. جرّب كلمات أخرى.',
+        'faq.loadError': 'تعذر تحميل الأسئلة الشائعة. يرجى المحاولة لاحقًا.',
+
+        'tabs.title': '📑 واجهة التبويبات',
+        'tabs.intro': 'تنقّل بين الأقسام المختلفة باستخدام التبويبات.',
+        'tabs.overview': 'نظرة عامة',
+        'tabs.features': 'الميزات',
+        'tabs.examples': 'أمثلة',
+        'tabs.resources': 'مصادر',
+
+        'dropdown.title': '📋 قائمة منسدلة تفاعلية',
+        'dropdown.intro': 'انقر على الزر أدناه لرؤية قائمة منسدلة مخصصة.',
+        'dropdown.toggle': 'اختر إجراءً',
+        'dropdown.alert': 'عرض تنبيه',
+        'dropdown.console': 'تسجيل في وحدة التحكم',
+        'dropdown.color': 'تغيير الألوان',
+        'dropdown.animate': 'تحريك الصفحة',
+        'dropdown.alertMessage': 'مرحبًا! هذا إجراء من القائمة المنسدلة. 🎉',
+        'dropdown.consoleMessage': 'تحقق من وحدة تحكم المتصفح لرؤية الرسالة المسجلة! 📝',
+
+        'form.title': '📝 التحقق المتقدم من النماذج',
+        'form.intro': 'املأ هذا النموذج لرؤية التحقق الفوري. تتم جميع عمليات التحقق باستخدام JavaScript مخصص.',
+        'form.fullName.label': 'الاسم الكامل *',
+        'form.fullName.success': '✓ الاسم يبدو جيدًا!',
+        'form.fullName.invalid': 'يمكن أن يحتوي الاسم على أحرف ومسافات وشرطات وفواصل عليا فقط',
+        'form.email.label': 'البريد الإلكتروني *',
+        'form.email.success': '✓ بريد إلكتروني صالح!',
+        'form.email.invalid': 'يرجى إدخال بريد إلكتروني صالح (مثال: user@domain.com)',
+        'email.suggestion': 'هل تقصد \u2068{suggestion}\u2069؟',
+        'form.contactMethod.label': 'طريقة التواصل المفضلة',
+        'form.contactMethod.email': 'البريد الإلكتروني',
+        'form.contactMethod.phone': 'الهاتف',
+        'form.phone.label': 'رقم الهاتف',
+        'form.phone.success': '✓ رقم هاتف صالح!',
+        'form.phoneCountry.label': 'رمز الدولة',
+        'mask.phone.invalid': 'أدخل رقمًا من {country}، مثل {example}',
+        'form.password.label': 'كلمة المرور *',
+        'form.confirmPassword.label': 'تأكيد كلمة المرور *',
+        'form.confirmPassword.success': '✓ كلمتا المرور متطابقتان!',
+        'form.confirmPassword.invalid': 'كلمتا المرور غير متطابقتين',
+        'form.age.label': 'العمر',
+        'form.age.success': '✓ عمر صالح!',
+        'form.age.invalid': 'يجب أن يكون العمر بين {min} و{max} سنة',
+        'form.hasWebsite.label': 'لدي موقع إلكتروني',
+        'form.website.label': 'الموقع الإلكتروني',
+        'form.website.success': '✓ رابط صالح!',
+        'form.website.invalid': 'يرجى إدخال رابط صالح (يبدأ بـ http:// أو https://)',
+        'form.message.label': 'الرسالة *',
+        'form.message.success': '✓ الرسالة تبدو جيدة!',
+        'form.message.invalid': 'يجب أن تتكون الرسالة من {minLength} إلى {maxLength} حرفًا',
+        'form.submit': 'إرسال النموذج',
+        'form.sending': 'جارٍ الإرسال…',
+        'form.retrying': 'إعادة المحاولة ({attempt}/{retries})…',
+        'form.successTitle': '🎉 تم بنجاح!',
+        'form.successText': 'تم إرسال النموذج بنجاح. اجتازت جميع عمليات التحقق!',
+        'form.step.about': 'معلوماتك',
+        'form.step.account': 'الحساب',
+        'form.step.details': 'التفاصيل',
+        'wizard.back': 'رجوع →',
+        'wizard.next': '← التالي',
+        'wizard.progress': 'الخطوة {current} من {total}',
+        'wizard.review': 'المراجعة',
+        'wizard.reviewTitle': 'راجع إجاباتك',
+        'wizard.reviewIntro': 'تحقق من كل شيء أدناه ثم أرسل النموذج.',
+        'wizard.edit': 'تعديل',
+        'wizard.empty': '—',
+        'errorSummary.title': {
+            zero: 'لا توجد مشكلات في هذا النموذج',
+            one: 'توجد مشكلة في هذا النموذج',
+            two: 'توجد مشكلتان في هذا النموذج',
+            few: 'توجد {count} مشكلات في هذا النموذج',
+            many: 'توجد {count} مشكلة في هذا النموذج',
+            other: 'توجد {count} مشكلة في هذا النموذج'
+        },
+
+        'validation.required': '{label} مطلوب',
+        'validation.invalid': '{label} غير صالح',
+        'validation.requiredOneOf': 'أدخل {label} أو {other}',
+        'validation.before': 'يجب أن يكون {label} قبل {other}',
+        'validation.after': 'يجب أن يكون {label} بعد {other}',
+        'validation.minLength': {
+            zero: 'يجب أن يتكون {label} من {count} حرف على الأقل',
+            one: 'يجب أن يتكون {label} من حرف واحد على الأقل',
+            two: 'يجب أن يتكون {label} من حرفين على الأقل',
+            few: 'يجب أن يتكون {label} من {count} أحرف على الأقل',
+            many: 'يجب أن يتكون {label} من {count} حرفًا على الأقل',
+            other: 'يجب أن يتكون {label} من {count} حرف على الأقل'
+        },
+        'validation.maxLength': {
+            zero: 'يجب ألا يزيد {label} عن {count} حرف',
+            one: 'يجب ألا يزيد {label} عن حرف واحد',
+            two: 'يجب ألا يزيد {label} عن حرفين',
+            few: 'يجب ألا يزيد {label} عن {count} أحرف',
+            many: 'يجب ألا يزيد {label} عن {count} حرفًا',
+            other: 'يجب ألا يزيد {label} عن {count} حرف'
+        },
+        'validation.min': 'يجب أن يكون {label} {min} على الأقل',
+        'validation.max': 'يجب ألا يزيد {label} عن {max}',
+        'validation.lowercase': 'يجب أن يحتوي {label} على حرف صغير',
+        'validation.uppercase': 'يجب أن يحتوي {label} على حرف كبير',
+        'validation.digit': 'يجب أن يحتوي {label} على رقم',
+        'validation.symbol': 'يجب أن يحتوي {label} على رمز مثل ! أو @',
+        'constraint.listLabel': 'المتطلبات',
+        'constraint.met': '(مكتمل)',
+        'constraint.unmet': '(غير مكتمل)',
+        'constraint.minLength': {
+            zero: '{count} حرف على الأقل',
+            one: 'حرف واحد على الأقل',
+            two: 'حرفان على الأقل',
+            few: '{count} أحرف على الأقل',
+            many: '{count} حرفًا على الأقل',
+            other: '{count} حرف على الأقل'
+        },
+        'constraint.maxLength': {
+            zero: 'لا يزيد عن {count} حرف',
+            one: 'لا يزيد عن حرف واحد',
+            two: 'لا يزيد عن حرفين',
+            few: 'لا يزيد عن {count} أحرف',
+            many: 'لا يزيد عن {count} حرفًا',
+            other: 'لا يزيد عن {count} حرف'
+        },
+        'constraint.lowercase': 'حرف صغير',
+        'constraint.uppercase': 'حرف كبير',
+        'constraint.digit': 'رقم',
+        'constraint.symbol': 'رمز مثل ! أو @',
+        'constraint.strength': 'صعبة التخمين',
+        'validation.checking': 'جارٍ التحقق…',
+        'validation.verifyFailed': 'تعذر التحقق من {label}. يرجى المحاولة مرة أخرى.',
+
+        'password.level.0': 'ضعيفة جدًا',
+        'password.level.1': 'ضعيفة',
+        'password.level.2': 'مقبولة',
+        'password.level.3': 'قوية',
+        'password.level.4': 'قوية جدًا',
+        'password.strength': 'القوة: {level}',
+        'password.success': '✓ كلمة مرور {level}!',
+        'password.tooWeak': 'قوة كلمة المرور: {level}.',
+        'password.warning.common': 'هذه من أكثر كلمات المرور استخدامًا.',
+        'password.warning.commonWord': 'تحتوي على "{word}" وهي شائعة في كلمات المرور المسربة.',
+        'password.warning.personal': 'تحتوي على اسمك أو بريدك الإلكتروني.',
+        'password.warning.repeat': 'التكرارات مثل "aaa" أو "abcabc" سهلة التخمين.',
+        'password.warning.sequence': 'التسلسلات مثل "abc" أو "123" أو "qwerty" سهلة التخمين.',
+        'password.suggestion.length': {
+            zero: 'استخدم {count} حرف على الأقل.',
+            one: 'استخدم حرفًا واحدًا على الأقل.',
+            two: 'استخدم حرفين على الأقل.',
+            few: 'استخدم {count} أحرف على الأقل.',
+            many: 'استخدم {count} حرفًا على الأقل.',
+            other: 'استخدم {count} حرف على الأقل.'
+        },
+        'password.suggestion.words': 'أضف بضع كلمات غير شائعة ولا علاقة بينها.',
+        'password.suggestion.leet': 'استبدال الحروف برموز مشابهة (مثل "@" بدل "a") لا يفيد كثيرًا.',
+        'password.suggestion.patterns': 'تجنب التكرار وتسلسلات لوحة المفاتيح أو الحروف.',
+        'password.suggestion.years': 'تجنب السنوات والتواريخ المرتبطة بك.',
+        'password.suggestion.variety': 'امزج بين الأحرف الكبيرة والأرقام والرموز.',
+
+        'draft.found': 'لديك مسودة غير مرسلة من {savedAt, datetime}.',
+        'draft.restore': 'استعادة المسودة',
+        'draft.discard': 'تجاهل',
+
+        'submissions.title': '🗂️ الإرسالات',
+        'submissions.intro': 'يُحفظ كل إرسال ناجح في هذا المتصفح (باستثناء كلمات المرور). افتح أحدها لتعبئة النموذج به مرة أخرى.',
+        'submissions.searchLabel': 'البحث في الإرسالات',
+        'submissions.searchPlaceholder': 'بحث…',
+        'submissions.exportCsv': 'تصدير CSV',
+        'submissions.exportJson': 'تصدير JSON',
+        'submissions.import': 'استيراد JSON',
+        'submissions.clear': 'حذف الكل',
+        'submissions.open': 'فتح',
+        'submissions.delete': 'حذف',
+        'submissions.submittedAt': 'أُرسل في {submittedAt, datetime}',
+        'submissions.count': {
+            zero: 'لا توجد إرسالات بعد.',
+            one: 'إرسال واحد',
+            two: 'إرسالان',
+            few: '{count} إرسالات',
+            many: '{count} إرسالًا',
+            other: '{count} إرسال'
+        },
+        'submissions.matches': {
+            zero: 'لا توجد إرسالات مطابقة لبحثك.',
+            one: 'إرسال واحد مطابق',
+            two: 'إرسالان مطابقان',
+            few: '{count} إرسالات مطابقة',
+            many: '{count} إرسالًا مطابقًا',
+            other: '{count} إرسال مطابق'
+        },
+        'submissions.empty': 'لا توجد إرسالات بعد.',
+        'submissions.noMatches': 'لا توجد إرسالات مطابقة لبحثك.',
+        'submissions.deleted': 'تم حذف الإرسال',
+        'submissions.undo': 'تراجع',
+        'submissions.cleared': 'تم حذف جميع الإرسالات',
+        'submissions.confirmClear': 'هل تريد حذف جميع الإرسالات المحفوظة؟ لا يمكن التراجع عن ذلك.',
+        'submissions.opened': 'تم تحميل الإرسال في النموذج',
+        'submissions.imported': {
+            zero: 'لا توجد إرسالات جديدة في هذا الملف',
+            one: 'تم استيراد إرسال واحد',
+            two: 'تم استيراد إرسالين',
+            few: 'تم استيراد {count} إرسالات',
+            many: 'تم استيراد {count} إرسالًا',
+            other: 'تم استيراد {count} إرسال'
+        },
+        'submissions.importedNone': 'لا توجد إرسالات جديدة في هذا الملف',
+        'submissions.importError': 'هذا الملف ليس تصديرًا للإرسالات.',
+
+        'submitError.timeout': 'استغرق الخادم وقتًا طويلًا للرد.',
+        'submitError.network': 'تعذر الاتصال بالخادم.',
+        'submitError.status': 'استجاب الخادم بخطأ ({status}).',
+        'submitError.unknown': 'حدث خطأ أثناء إرسال النموذج.',
+
+        'notify.colorChanged': {
+            zero: '🎨 تم تغيير لون الخلفية! سيعود بعد {count} ثانية.',
+            one: '🎨 تم تغيير لون الخلفية! سيعود بعد ثانية واحدة.',
+            two: '🎨 تم تغيير لون الخلفية! سيعود بعد ثانيتين.',
+            few: '🎨 تم تغيير لون الخلفية! سيعود بعد {count} ثوانٍ.',
+            many: '🎨 تم تغيير لون الخلفية! سيعود بعد {count} ثانية.',
+            other: '🎨 تم تغيير لون الخلفية! سيعود بعد {count} ثانية.'
+        },
+        'notify.animated': '✨ تم تفعيل تحريك الصفحة!',
+        'notify.submitted': '🎉 تم إرسال النموذج بنجاح!',
+        'notify.fixErrors': {
+            zero: '❌ يرجى تصحيح الأخطاء والمحاولة مرة أخرى',
+            one: '❌ يرجى تصحيح الخطأ والمحاولة مرة أخرى',
+            two: '❌ يرجى تصحيح الخطأين والمحاولة مرة أخرى',
+            few: '❌ يرجى تصحيح {count} أخطاء والمحاولة مرة أخرى',
+            many: '❌ يرجى تصحيح {count} خطأً والمحاولة مرة أخرى',
+            other: '❌ يرجى تصحيح {count} خطأ والمحاولة مرة أخرى'
+        },
+        'notify.reset': '🔄 تمت إعادة تعيين النموذج',
+        'notify.sendFailed': '❌ {reason} يرجى المحاولة مرة أخرى.',
+        'notify.serverRejected': '❌ رفض الخادم النموذج. يرجى مراجعة البيانات.',
+        'notify.error': '⚠️ حدث خطأ. راجع وحدة التحكم للتفاصيل.',
+        'toast.close': 'إغلاق الإشعار',
+        'toast.undo': 'تراجع',
+        'toast.retry': 'إعادة المحاولة',
+        'toast.resetForm': 'إفراغ النموذج'
+    }
+};
+
+/**
+ * Current locale (set by initializeI18n / setLocale)
+ */
+let currentLocale = 'en';
+
+/**
+ * Set up the locale switcher and translate the page into the saved,
+ * browser or default locale
+ */
+function initializeI18n() {
+    const localeSelect = document.getElementById('localeSelect');
+    
+    if (localeSelect) {
+        Object.keys(SUPPORTED_LOCALES).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = SUPPORTED_LOCALES[locale];
+            option.lang = locale;
+            localeSelect.appendChild(option);
+        });
+        
+        localeSelect.addEventListener('change', function() {
+            setLocale(this.value);
+        });
+    }
+    
+    const browserLocale = (navigator.language || 'en').split('-')[0];
+    const initialLocale = readStorage('locale') || (SUPPORTED_LOCALES[browserLocale] ? browserLocale : 'en');
+    setLocale(initialLocale, { save: false });
+}
+
+/**
+ * Get the current locale code
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the page to another locale at runtime
+ * Updates lang/dir, re-translates every [data-i18n] element and fires a
+ * `localechange` event on document so components can refresh their text
+ */
+function setLocale(locale, options = {}) {
+    if (!SUPPORTED_LOCALES[locale]) {
+        console.warn('Unsupported locale:', locale);
+        locale = 'en';
+    }
+    
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = RTL_LOCALES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+    
+    const localeSelect = document.getElementById('localeSelect');
+    if (localeSelect) localeSelect.value = locale;
+    
+    if (options.save !== false) {
+        writeStorage('locale', locale);
+    }
+    
+    translatePage();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+/**
+ * Translate a message key into the current locale
+ * Falls back to English, then to the key itself
+ */
+function t(key, params = {}) {
+    const catalog = MESSAGES[currentLocale] || {};
+    let message = key in catalog ? catalog[key] : MESSAGES.en[key];
+    if (message === undefined) return key;
+    
+    // Plural forms are selected by the `count` parameter
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(params.count || 0);
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+    
+    return message.replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (placeholder, name, format) => {
+        if (!(name in params)) return placeholder;
+        return formatMessageParam(params[name], format);
+    });
+}
+
+/**
+ * Whether a string is a key in the message catalogs
+ */
+function hasTranslation(key) {
+    return key in MESSAGES.en;
+}
+
+/**
+ * Format one interpolated value for the current locale
+ */
+function formatMessageParam(value, format) {
+    if (format === 'datetime') {
+        return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' })
+            .format(new Date(value));
+    }
+    if (typeof value === 'number') {
+        return new Intl.NumberFormat(currentLocale).format(value);
+    }
+    return String(value);
+}
+
+/**
+ * Give an element translated text that follows later locale switches
+ */
+function setTranslatedText(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete element.dataset.i18nParams;
+    }
+    element.textContent = t(key, params);
+}
+
+/**
+ * Re-translate every element marked with data-i18n (and data-i18n-params),
+ * and the placeholders marked with data-i18n-placeholder
+ */
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined;
+        element.textContent = t(element.dataset.i18n, params);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
+/**
+ * Parse a number typed in the current locale's format
+ * Understands the locale's group and decimal separators and native digits
+ * (e.g. "1.234,5" in es, "١٣" in ar). Returns NaN for anything else.
+ */
+function parseLocaleNumber(value, locale = currentLocale) {
+    const format = new Intl.NumberFormat(locale);
+    const parts = format.formatToParts(12345.6);
+    const group = (parts.find(part => part.type === 'group') || {}).value || ',';
+    const decimal = (parts.find(part => part.type === 'decimal') || {}).value || '.';
+    
+    let normalized = '';
+    for (const char of String(value).trim()) {
+        const digit = getDigitValue(char);
+        if (digit !== -1) {
+            normalized += digit;
+        } else if (char === group || (/\s/.test(group) && /\s/.test(char))) {
+            continue;
+        } else if (char === decimal) {
+            normalized += '.';
+        } else {
+            normalized += char;
+        }
+    }
+    
+    return /^[+-]?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Code points of "0" in the digit sets people commonly type
+ * (ASCII, Arabic-Indic, Eastern Arabic-Indic, Devanagari, Bengali, Thai, fullwidth)
+ */
+const DIGIT_ZEROS = [0x30, 0x660, 0x6F0, 0x966, 0x9E6, 0xE50, 0xFF10];
+
+/**
+ * Value of a digit character from any of those sets, or -1
+ */
+function getDigitValue(char) {
+    const code = char.charCodeAt(0);
+    const zero = DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+    return zero === undefined ? -1 : code - zero;
+}
+
+// =============================================================================
+// PART 2: INTERACTIVE ELEMENTS IMPLEMENTATION
+// =============================================================================
+
+/**
+ * Themes
+ * Each theme is a `<name>-theme` class on body that sets the color tokens
+ * (CSS custom properties) in style.css. Palettes added with registerTheme()
+ * build on one of those: they keep its class and override single tokens
+ * inline, e.g. { primary: 'rebeccapurple' } sets --color-primary.
+ */
+const THEMES = new Map([
+    ['light', { base: null, tokens: {} }],
+    ['dark', { base: null, tokens: {} }],
+    ['high-contrast', { base: null, tokens: {} }]
+]);
+
+let currentThemeMode = 'system';
+let appliedThemeTokens = [];
+
+/**
+ * Add a palette (or replace one added earlier)
+ * `base` is the built-in theme it starts from; `label` is shown in the
+ * theme picker, as text or a catalog key
+ */
+function registerTheme(name, { base = 'light', label = name, tokens = {} } = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+        throw new TypeError(`Theme name must be lower-case letters, digits and dashes, got "${name}"`);
+    }
+    if (name === 'system' || (THEMES.has(name) && !THEMES.get(name).base)) {
+        throw new TypeError(`Theme "${name}" is built in and can't be replaced`);
+    }
+    if (!THEMES.has(base) || THEMES.get(base).base) {
+        throw new TypeError(`Unknown base theme: ${base}`);
+    }
+    
+    THEMES.set(name, { base, label, tokens });
+    renderThemeOptions();
+    
+    // Re-apply if the page is already showing this palette
+    if (currentThemeMode === name) setTheme(name, { save: false });
+}
+
+/**
+ * Whether a media query matches, e.g. an OS preference
+ * (false where matchMedia isn't available)
+ */
+function matchesMedia(query) {
+    return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+}
+
+/**
+ * The theme a mode stands for: "system" follows the OS preference
+ */
+function resolveTheme(mode) {
+    if (mode !== 'system') {
+        return THEMES.has(mode) ? mode : 'light';
+    }
+    if (matchesMedia('(prefers-contrast: more)')) return 'high-contrast';
+    return matchesMedia('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+/**
+ * Switch to a theme, a registered palette or "system"
+ * Fires a `themechange` event on document with { mode, theme }
+ */
+function setTheme(mode, options = {}) {
+    const body = document.body;
+    const name = resolveTheme(mode);
+    const theme = THEMES.get(name);
+    
+    currentThemeMode = mode === 'system' || THEMES.has(mode) ? mode : 'light';
+    
+    const themeClasses = Array.from(body.classList).filter(className => className.endsWith('-theme'));
+    body.classList.remove(...themeClasses);
+    body.classList.add((theme.base || name) + '-theme');
+    if (theme.base) body.classList.add(name + '-theme');
+    
+    appliedThemeTokens.forEach(property => body.style.removeProperty(property));
+    appliedThemeTokens = Object.keys(theme.tokens).map(token => '--color-' + token);
+    Object.keys(theme.tokens).forEach(token => {
+        body.style.setProperty('--color-' + token, theme.tokens[token]);
+    });
+    
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) themeSelect.value = currentThemeMode;
+    
+    if (options.save !== false) {
+        writeStorage('theme', currentThemeMode);
+    }
+    
+    document.dispatchEvent(new CustomEvent('themechange', {
+        detail: { mode: currentThemeMode, theme: name }
+    }));
+}
+
+/**
+ * The chosen mode ("system", "light", ...) and the theme showing now
+ */
+function getTheme() {
+    return { mode: currentThemeMode, theme: resolveTheme(currentThemeMode) };
+}
+
+/**
+ * Current value of a color token, e.g. themeColor('primary'), for places
+ * CSS can't reach such as console styling
+ */
+function themeColor(token) {
+    return getComputedStyle(document.body).getPropertyValue('--color-' + token).trim();
+}
+
+/**
+ * Fill the theme picker: System, the built-in themes, then palettes
+ */
+function renderThemeOptions() {
+    const themeSelect = document.getElementById('themeSelect');
+    if (!themeSelect) return;
+    
+    themeSelect.innerHTML = '';
+    ['system'].concat(Array.from(THEMES.keys())).forEach(name => {
+        const theme = THEMES.get(name);
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = theme && theme.base ? translateOrLiteral(theme.label) : t('theme.' + name);
+        themeSelect.appendChild(option);
+    });
+    themeSelect.value = currentThemeMode;
+}
+
+/**
+ * Theme Picker
+ * Starts from the saved choice, or "system" so the page follows the OS
+ * setting, including when it changes while the page is open
+ */
+function initializeThemePicker() {
+    const themeSelect = document.getElementById('themeSelect');
+    
+    renderThemeOptions();
+    setTheme(readStorage('theme') || 'system', { save: false });
+    
+    if (themeSelect) {
+        themeSelect.addEventListener('change', function() {
+            setTheme(this.value);
+        });
+    }
+    
+    if (typeof window.matchMedia === 'function') {
+        ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+            window.matchMedia(query).addEventListener('change', () => {
+                if (currentThemeMode === 'system') {
+                    setTheme('system', { save: false });
+                }
+            });
+        });
+    }
+    
+    // Keep the option names in the current language
+    document.addEventListener('localechange', renderThemeOptions);
+}
+
+/**
+ * Animations
+ * Script animations go through runAnimation(), which uses the Web Animations
+ * API and tones things down when motion is reduced: the user switched
+ * animations off on the page, or the OS asks for reduced motion. CSS
+ * transitions follow the same two settings (see style.css).
+ */
+let animationsDisabled = false;
+
+function isMotionReduced() {
+    return animationsDisabled || matchesMedia('(prefers-reduced-motion: reduce)');
+}
+
+/**
+ * `behavior` for scrollIntoView(): smooth unless motion is reduced
+ */
+function scrollBehavior() {
+    return isMotionReduced() ? 'auto' : 'smooth';
+}
+
+/**
+ * Play keyframes on an element and resolve with the Animation once it has
+ * finished (or been cancelled), so callers can chain on it
+ * `options` are the usual timing options plus `reduced`: gentler keyframes
+ * (say, a fade instead of movement) to play when the OS asks for reduced
+ * motion. Without them, and whenever animations are switched off, nothing
+ * plays and the promise resolves (with null) straight away.
+ */
+function runAnimation(element, keyframes, options = {}) {
+    let frames = keyframes;
+    if (animationsDisabled || typeof element.animate !== 'function') {
+        frames = null;
+    } else if (matchesMedia('(prefers-reduced-motion: reduce)')) {
+        frames = options.reduced || null;
+    }
+    if (!frames) return Promise.resolve(null);
+    
+    const timing = Object.assign({ duration: 300, easing: 'ease' }, options);
+    delete timing.reduced;
+    
+    const animation = element.animate(frames, timing);
+    return animation.finished.then(() => animation, () => animation);
+}
+
+/**
+ * Turn the page's animations on or off (remembered across visits)
+ */
+function setAnimationsEnabled(enabled, options = {}) {
+    animationsDisabled = !enabled;
+    document.body.classList.toggle('no-animations', animationsDisabled);
+    
+    const motionToggle = document.getElementById('motionToggle');
+    if (motionToggle) motionToggle.checked = animationsDisabled;
+    
+    if (options.save !== false) {
+        writeStorage('animations', enabled ? 'on' : 'off');
+    }
+}
+
+/**
+ * "Disable animations" checkbox
+ */
+function initializeMotionToggle() {
+    const motionToggle = document.getElementById('motionToggle');
+    
+    setAnimationsEnabled(readStorage('animations') !== 'off', { save: false });
+    
+    if (motionToggle) {
+        motionToggle.addEventListener('change', function() {
+            setAnimationsEnabled(!this.checked);
+        });
+    }
+}
+
+/**
+ * How many operations the counter remembers for undo and the history log
+ */
+const COUNTER_HISTORY_LIMIT = 50;
+
+/**
+ * Counter value with undo/redo history, saved across reloads
+ * Every change is an operation { type, from, to, delta } where type is
+ * "add", "reset", "random" or "set". Subscribers are called with
+ * (value, change), where change is the operation plus
+ * action: "do", "undo" or "redo".
+ * Values are clamped to the min/max bounds (unbounded by default).
+ */
+class Counter {
+    constructor(storageKey = 'counter', { min = -Infinity, max = Infinity } = {}) {
+        this.storageKey = storageKey;
+        this.min = min;
+        this.max = max;
+        this.value = 0;
+        this.history = [];
+        this.position = 0;
+        this.subscribers = [];
+        
+        const stored = readStorage(storageKey);
+        if (stored && Number.isFinite(stored.value) && Array.isArray(stored.history)) {
+            this.value = stored.value;
+            this.history = stored.history.slice(-COUNTER_HISTORY_LIMIT);
+            this.position = Math.min(Math.max(stored.position, 0), this.history.length) || 0;
+        }
+    }
+
+    get() {
+        return this.value;
+    }
+
+    /**
+     * Change the bounds; a value outside them is moved inside (undoably)
+     */
+    setBounds(min = -Infinity, max = Infinity) {
+        if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+            throw new RangeError(`Invalid counter bounds: ${min} to ${max}`);
+        }
+        this.min = min;
+        this.max = max;
+        this.set(this.clamp(this.value));
+    }
+
+    clamp(value) {
+        return Math.min(Math.max(value, this.min), this.max);
+    }
+
+    isInRange(value) {
+        return value >= this.min && value <= this.max;
+    }
+
+    /**
+     * Set the value directly (recorded as an undoable operation)
+     */
+    set(value, type = 'set') {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new TypeError(`Counter value must be a finite number, got ${value}`);
+        }
+        return this.apply({ type, from: this.value, to: this.clamp(number) });
+    }
+
+    /**
+     * Add to the value; a step past a bound stops at the bound
+     */
+    add(delta) {
+        const to = this.clamp(this.value + delta);
+        return this.apply({ type: 'add', delta: to - this.value, from: this.value, to });
+    }
+
+    reset() {
+        return this.apply({ type: 'reset', from: this.value, to: this.clamp(0) });
+    }
+
+    /**
+     * Record an operation and drop anything that had been undone
+     * Returns false when the value wouldn't change
+     */
+    apply(operation) {
+        if (operation.to === operation.from) return false;
+        
+        this.history = this.history.slice(0, this.position);
+        this.history.push(operation);
+        if (this.history.length > COUNTER_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.position = this.history.length;
+        this.value = operation.to;
+        
+        this.commit(Object.assign({ action: 'do' }, operation));
+        return true;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.history.length;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        
+        const operation = this.history[--this.position];
+        this.value = operation.from;
+        this.commit(Object.assign({ action: 'undo' }, operation));
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+        
+        const operation = this.history[this.position++];
+        this.value = operation.to;
+        this.commit(Object.assign({ action: 'redo' }, operation));
+        return true;
+    }
+
+    /**
+     * Operations oldest first; `applied` is false for undone ones
+     */
+    getHistory() {
+        return this.history.map((operation, index) => Object.assign({ applied: index < this.position }, operation));
+    }
+
+    /**
+     * Call a function on every change; returns a function that unsubscribes
+     */
+    subscribe(subscriber) {
+        this.subscribers.push(subscriber);
+        return () => {
+            this.subscribers = this.subscribers.filter(item => item !== subscriber);
+        };
+    }
+
+    commit(change) {
+        writeStorage(this.storageKey, {
+            value: this.value,
+            history: this.history,
+            position: this.position
+        });
+        this.subscribers.forEach(subscriber => subscriber(this.value, change));
+    }
+}
+
+const counter = new Counter();
+
+// Expose the counter so other widgets can drive and observe it
+window.Counter = Counter;
+window.counter = counter;
+
+/**
+ * A counter step with its sign, e.g. "+5" or "-1"
+ */
+function formatCounterStep(delta) {
+    return new Intl.NumberFormat(getLocale(), { signDisplay: 'always' }).format(delta);
+}
+
+/**
+ * History log text for one counter operation, e.g. "+5" or "random → 37"
+ */
+function describeCounterOperation(operation) {
+    if (operation.type === 'add') {
+        return formatCounterStep(operation.delta);
+    }
+    return t('counter.op.' + operation.type, { value: operation.to });
+}
+
+const DEFAULT_COUNTER_STEPS = '1,5,-1';
+
+/**
+ * Counter options read from the counter section's data attributes:
+ *   data-min, data-max            - bounds (unbounded when missing)
+ *   data-steps="1,5,-1"           - one button per step, in that order
+ *   data-random-min/-max          - range for the Random button
+ */
+function getCounterOptions(element) {
+    const data = element ? element.dataset : {};
+    const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : parsed;
+    };
+    
+    let min = number(data.min, -Infinity);
+    let max = number(data.max, Infinity);
+    if (min > max) {
+        console.warn('Ignoring counter bounds with min above max:', data.min, data.max);
+        min = -Infinity;
+        max = Infinity;
+    }
+    const parseSteps = text => text.split(',')
+        .map(step => parseFloat(step))
+        .filter(step => Number.isFinite(step) && step !== 0);
+    let steps = parseSteps(data.steps || DEFAULT_COUNTER_STEPS);
+    
+    // The target game has to be winnable: some target must be reachable
+    // from the reset value
+    const resetValue = Math.min(Math.max(0, min), max);
+    if (steps.length === 0 || !pickCounterTarget(resetValue, steps, min, max)) {
+        console.warn('Ignoring counter steps that cannot reach a target:', data.steps);
+        steps = parseSteps(DEFAULT_COUNTER_STEPS);
+    }
+    
+    // Random values never fall outside the bounds; a range that misses them
+    // falls back to the bounds, keeping the default width on an open side
+    const clampToBounds = value => Math.min(Math.max(value, min), max);
+    let randomMin = clampToBounds(number(data.randomMin, -100));
+    let randomMax = clampToBounds(number(data.randomMax, 100));
+    if (randomMin >= randomMax && min < max) {
+        randomMin = Number.isFinite(min) ? min : Math.min(-100, max - 200);
+        randomMax = Number.isFinite(max) ? max : randomMin + 200;
+    }
+    
+    return { min, max, steps, randomMin, randomMax };
+}
+
+/**
+ * Keyboard shortcuts for the counter, active while focus is inside the
+ * counter section. Keys use the aria-keyshortcuts syntax ("ArrowUp",
+ * "Control+Shift+Z", "Space"); actions are a step ("+1", "-10"),
+ * "reset", "random", "undo" or "redo".
+ */
+const COUNTER_KEY_BINDINGS = new Map([
+    ['ArrowUp', '+1'],
+    ['ArrowDown', '-1'],
+    ['Space', 'reset'],
+    ['Control+Z', 'undo'],
+    ['Meta+Z', 'undo'],
+    ['Control+Shift+Z', 'redo'],
+    ['Meta+Shift+Z', 'redo']
+]);
+
+const COUNTER_ACTIONS = ['reset', 'random', 'undo', 'redo'];
+
+function isCounterAction(action) {
+    return COUNTER_ACTIONS.includes(action) || /^[+-]\d+(\.\d+)?$/.test(action);
+}
+
+/**
+ * Bind a key combination to a counter action, replacing any existing binding
+ */
+function bindCounterKey(keys, action) {
+    if (typeof keys !== 'string' || !keys) {
+        throw new TypeError('Counter key binding needs a key combination');
+    }
+    if (!isCounterAction(action)) {
+        throw new TypeError(`Unknown counter action: ${action}`);
+    }
+    COUNTER_KEY_BINDINGS.set(normalizeKeyCombo(keys), action);
+    updateCounterKeyShortcuts();
+}
+
+function unbindCounterKey(keys) {
+    const removed = COUNTER_KEY_BINDINGS.delete(normalizeKeyCombo(keys));
+    updateCounterKeyShortcuts();
+    return removed;
+}
+
+/**
+ * Put modifiers in a fixed order (Control, Alt, Shift, Meta) and upper-case
+ * single letters, so "shift+control+z" and "Control+Shift+Z" match
+ */
+function normalizeKeyCombo(keys) {
+    const parts = keys.split(/\+(?=.)/);
+    let key = parts.pop();
+    const modifiers = parts.map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase());
+    if (key.length === 1) key = key.toUpperCase();
+    
+    return ['Control', 'Alt', 'Shift', 'Meta']
+        .filter(modifier => modifiers.includes(modifier))
+        .concat(key)
+        .join('+');
+}
+
+/**
+ * The key combination of a keydown event, in the same form
+ */
+function getKeyCombo(event) {
+    let key = event.key === ' ' ? 'Space' : event.key;
+    // Shift is part of typing symbols like "+", so it isn't a modifier there
+    const symbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+    if (key.length === 1) key = key.toUpperCase();
+    
+    const parts = [];
+    if (event.ctrlKey) parts.push('Control');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && !symbol) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * List the bound keys in aria-keyshortcuts of the matching counter buttons
+ */
+function updateCounterKeyShortcuts() {
+    document.querySelectorAll('[data-counter-action]').forEach(button => {
+        const keys = [];
+        COUNTER_KEY_BINDINGS.forEach((action, combo) => {
+            if (action === button.dataset.counterAction) keys.push(combo);
+        });
+        
+        if (keys.length > 0) {
+            button.setAttribute('aria-keyshortcuts', keys.join(' '));
+        } else {
+            button.removeAttribute('aria-keyshortcuts');
+        }
+    });
+}
+
+/**
+ * Whether a key should keep doing what it normally does on the focused
+ * element: typing in fields, opening selects, pressing buttons
+ */
+function isNativeKey(event) {
+    const target = event.target;
+    if (target.isContentEditable || ['input', 'textarea', 'select'].includes(target.tagName.toLowerCase())) {
+        return true;
+    }
+    return ['button', 'a', 'summary'].includes(target.tagName.toLowerCase()) &&
+        (event.key === ' ' || event.key === 'Enter');
+}
+
+/**
+ * Interactive Counter Game
+ * Buttons and keys drive the shared `counter`; the display, the undo/redo
+ * buttons, the history log and the game modes (CounterGame) follow it
+ * through counter.subscribe(). Bounds, steps and the random range come
+ * from the section's data attributes (see getCounterOptions).
+ */
+function initializeCounter() {
+    const section = document.getElementById('counterSection');
+    const display = document.getElementById('counterDisplay');
+    const stepButtons = document.getElementById('counterSteps');
+    const limitMessage = document.getElementById('counterLimit');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const historyList = document.getElementById('counterHistory');
+    const options = getCounterOptions(section);
+    let limitTimer = null;
+    
+    counter.setBounds(options.min, options.max);
+    const game = document.getElementById('counterGame') ? new CounterGame(counter, { steps: options.steps }) : null;
+
+    /**
+     * Update counter display with animation and color changes
+     */
+    function updateDisplay() {
+        const count = counter.get();
+        display.textContent = count;
+        display.setAttribute('aria-valuenow', count);
+        
+        // Add scale animation effect
+        runAnimation(display, [{ transform: 'scale(1.1)' }, { transform: 'scale(1)' }], { duration: 200 });
+        
+        // Change color based on value (the colors come from the theme)
+        display.classList.toggle('positive', count > 0);
+        display.classList.toggle('negative', count < 0);
+    }
+
+    /**
+     * Show the operations newest first; undone ones stay listed (struck
+     * through) until a new operation replaces them
+     */
+    function renderHistory() {
+        if (!historyList) return;
+        
+        historyList.innerHTML = '';
+        counter.getHistory().reverse().forEach(operation => {
+            const item = document.createElement('li');
+            item.textContent = describeCounterOperation(operation);
+            if (!operation.applied) {
+                item.classList.add('undone');
+            }
+            historyList.appendChild(item);
+        });
+        
+        if (undoBtn) undoBtn.disabled = !counter.canUndo();
+        if (redoBtn) redoBtn.disabled = !counter.canRedo();
+    }
+
+    /**
+     * One button per configured step, in front of Reset and Random
+     */
+    function renderStepButtons() {
+        stepButtons.querySelectorAll('.counter-step').forEach(button => button.remove());
+        
+        const reference = stepButtons.firstChild;
+        options.steps.forEach(step => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn counter-step';
+            button.dataset.counterAction = formatCounterAction(step);
+            button.textContent = formatCounterStep(step);
+            stepButtons.insertBefore(button, reference);
+        });
+        updateCounterKeyShortcuts();
+    }
+
+    function formatCounterAction(step) {
+        return (step > 0 ? '+' : '') + step;
+    }
+
+    /**
+     * Shake the display and say which bound was hit
+     */
+    function showLimit(attempted) {
+        const key = attempted > counter.max ? 'counter.limit.max' : 'counter.limit.min';
+        
+        display.classList.add('out-of-range');
+        runAnimation(display, [
+            { translate: '0' }, { translate: '-8px' }, { translate: '8px' },
+            { translate: '-8px' }, { translate: '8px' }, { translate: '0' }
+        ], { duration: 400 });
+        
+        if (limitMessage) {
+            setTranslatedText(limitMessage, key, { min: counter.min, max: counter.max });
+        }
+        
+        clearTimeout(limitTimer);
+        limitTimer = setTimeout(() => {
+            display.classList.remove('out-of-range');
+            if (limitMessage) {
+                delete limitMessage.dataset.i18n;
+                limitMessage.textContent = '';
+            }
+        }, 3000);
+    }
+
+    /**
+     * Run a counter action from a button or a key binding
+     */
+    function runAction(action) {
+        switch (action) {
+            case 'reset':
+                counter.reset();
+                break;
+            case 'random':
+                // During a game round Random belongs to the game
+                if (game && game.handleRandom()) break;
+                counter.set(options.randomMin + Math.floor(Math.random() * (options.randomMax - options.randomMin + 1)), 'random');
+                break;
+            case 'undo':
+                counter.undo();
+                break;
+            case 'redo':
+                counter.redo();
+                break;
+            default: {
+                const delta = parseFloat(action);
+                const attempted = counter.get() + delta;
+                counter.add(delta);
+                if (!counter.isInRange(attempted)) {
+                    showLimit(attempted);
+                }
+            }
+        }
+    }
+
+    // Counter buttons carry their action in data-counter-action
+    section.addEventListener('click', event => {
+        const button = event.target.closest('[data-counter-action]');
+        if (!button || button.disabled) return;
+        
+        runAction(button.dataset.counterAction);
+        addButtonFeedback(button);
+    });
+
+    // Keyboard shortcuts, only while the counter has focus (see COUNTER_KEY_BINDINGS)
+    section.addEventListener('keydown', event => {
+        const action = COUNTER_KEY_BINDINGS.get(getKeyCombo(event));
+        if (!action || event.defaultPrevented || isNativeKey(event)) return;
+        
+        event.preventDefault();
+        runAction(action);
+        
+        const button = section.querySelector(`[data-counter-action="${action}"]`);
+        if (button) addButtonFeedback(button);
+    });
+
+    counter.subscribe(() => {
+        updateDisplay();
+        renderHistory();
+    });
+    document.addEventListener('localechange', () => {
+        renderStepButtons();
+        renderHistory();
+    });
+
+    // Initialize display
+    if (Number.isFinite(counter.min)) display.setAttribute('aria-valuemin', counter.min);
+    if (Number.isFinite(counter.max)) display.setAttribute('aria-valuemax', counter.max);
+    renderStepButtons();
+    updateDisplay();
+    renderHistory();
+}
+
+/**
+ * Counter game modes
+ *   target - reach a target with +1/+5/-1 in as few moves as possible
+ *   cps    - click +1 as often as possible before the time runs out
+ *   random - press Random for a target near the counter and reach it;
+ *            as many targets as possible before the time runs out
+ * `lowerIsBetter` decides the leaderboard order.
+ */
+const GAME_MODES = {
+    target: { duration: 30, lowerIsBetter: true },
+    cps: { duration: 10, lowerIsBetter: false },
+    random: { duration: 30, lowerIsBetter: false }
+};
+
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_STORAGE_KEY = 'counterLeaderboard';
+
+/**
+ * Fewest step presses that take the counter from one value to another, or
+ * null when the steps can't get there. Overshooting and stepping back can
+ * beat the direct route, and a step past a bound stops at the bound.
+ */
+function countMinimumMoves(from, to, steps, min = -Infinity, max = Infinity) {
+    const largest = Math.max(...steps.map(Math.abs));
+    const low = Math.max(Math.min(from, to) - largest, min);
+    const high = Math.min(Math.max(from, to) + largest, max);
+    
+    // Breadth-first search over the values in between
+    const seen = new Set([from]);
+    let current = [from];
+    for (let moves = 0; current.length > 0; moves++) {
+        if (current.includes(to)) return moves;
+        
+        const next = [];
+        current.forEach(value => {
+            steps.forEach(step => {
+                const reached = Math.min(Math.max(value + step, min), max);
+                if (reached >= low && reached <= high && !seen.has(reached)) {
+                    seen.add(reached);
+                    next.push(reached);
+                }
+            });
+        });
+        current = next;
+    }
+    return null;
+}
+
+/**
+ * A target for "Reach the target": 10 to 60 above `start` (below it when
+ * the top bound is in the way) and reachable with the steps
+ * Returns { target, optimal } with the fewest moves to it, or null when
+ * the steps can't reach any
+ */
+function pickCounterTarget(start, steps, min = -Infinity, max = Infinity) {
+    const reachable = direction => {
+        const targets = [];
+        for (let distance = 10; distance <= 60; distance++) {
+            const target = start + direction * distance;
+            if (target < min || target > max) break;
+            
+            const optimal = countMinimumMoves(start, target, steps, min, max);
+            if (optimal !== null) targets.push({ target, optimal });
+        }
+        return targets;
+    };
+    
+    let targets = reachable(1);
+    if (targets.length === 0) targets = reachable(-1);
+    return targets.length > 0 ? targets[Math.floor(Math.random() * targets.length)] : null;
+}
+
+/**
+ * Timed challenges played with the counter buttons, with a local top 10
+ * per mode. Watches the shared counter through counter.subscribe();
+ * `steps` are the counter's step buttons, for the best possible score.
+ */
+class CounterGame {
+    constructor(counter, { steps = [1, 5, -1] } = {}) {
+        this.counter = counter;
+        this.steps = steps;
+        this.modeSelect = document.getElementById('gameMode');
+        this.startButton = document.getElementById('gameStartBtn');
+        this.timer = document.getElementById('gameTimer');
+        this.status = document.getElementById('gameStatus');
+        this.nameForm = document.getElementById('gameNameForm');
+        this.nameInput = document.getElementById('playerName');
+        this.leaderboardList = document.getElementById('leaderboard');
+        this.randomButton = document.querySelector('[data-counter-action="random"]');
+        
+        this.round = null;
+        this.result = null;
+        this.pendingScore = null;
+        this.interval = null;
+        
+        this.startButton.addEventListener('click', () => {
+            if (this.round) {
+                this.finish('gaveUp');
+            } else {
+                this.start(this.modeSelect.value);
+            }
+        });
+        
+        this.modeSelect.addEventListener('change', () => this.renderLeaderboard());
+        counter.subscribe((value, change) => this.handleChange(value, change));
+        
+        // The name form is checked by its FormValidator; we only take the result
+        this.nameForm.addEventListener('validator:submit', event => {
+            event.preventDefault();
+            this.saveScore(event.detail.formData.playerName);
+        });
+        this.nameForm.addEventListener('validator:invalid', event => {
+            event.preventDefault();
+            this.nameInput.focus();
+        });
+        
+        document.addEventListener('localechange', () => {
+            this.renderStatus();
+            this.renderLeaderboard();
+            if (this.round) this.tick();
+        });
+        
+        this.renderLeaderboard();
+    }
+
+    isRunning() {
+        return this.round !== null;
+    }
+
+    /**
+     * Start a round of the given mode
+     */
+    start(mode) {
+        const config = GAME_MODES[mode];
+        if (!config) return;
+        
+        // Target rounds start from the reset value
+        const goal = mode === 'target'
+            ? pickCounterTarget(this.counter.clamp(0), this.steps, this.counter.min, this.counter.max)
+            : null;
+        if (mode === 'target' && !goal) {
+            console.warn('No target within the counter bounds can be reached with its steps');
+            return;
+        }
+        
+        this.result = null;
+        this.pendingScore = null;
+        this.nameForm.hidden = true;
+        
+        // Target and click rounds start from zero
+        if (mode !== 'random') {
+            this.counter.reset();
+        }
+        
+        this.round = {
+            mode,
+            endsAt: Date.now() + config.duration * 1000,
+            moves: 0,
+            clicks: 0,
+            hits: 0,
+            target: null,
+            optimal: 0
+        };
+        
+        if (goal) {
+            this.round.target = goal.target;
+            this.round.optimal = goal.optimal;
+        }
+        
+        this.modeSelect.disabled = true;
+        this.randomButton.disabled = mode !== 'random';
+        setTranslatedText(this.startButton, 'game.stop');
+        this.timer.hidden = false;
+        
+        this.tick();
+        this.interval = setInterval(() => this.tick(), 100);
+        this.renderStatus();
+    }
+
+    /**
+     * Update the countdown and end the round when it runs out
+     */
+    tick() {
+        const remaining = Math.max(this.round.endsAt - Date.now(), 0);
+        this.timer.textContent = t('game.timeLeft', { seconds: Math.ceil(remaining / 1000) });
+        this.timer.classList.toggle('urgent', remaining <= 5000);
+        
+        if (remaining === 0) {
+            // Running out of time only counts as finishing the timed modes
+            this.finish(this.round.mode === 'target' ? 'timeUp' : 'completed');
+        }
+    }
+
+    handleChange(value, change) {
+        const round = this.round;
+        if (!round) return;
+        
+        if (round.mode === 'target') {
+            round.moves++;
+            if (value === round.target) {
+                this.finish('completed');
+                return;
+            }
+        } else if (round.mode === 'cps') {
+            if (change.action === 'do' && change.type === 'add' && change.delta > 0) {
+                round.clicks++;
+            }
+        } else if (round.target !== null && value === round.target) {
+            round.hits++;
+            round.target = null;
+        }
+        this.renderStatus();
+    }
+
+    /**
+     * Random button during a round: a new target in random mode, ignored
+     * otherwise. Returns true when the game handled the click.
+     */
+    handleRandom() {
+        if (!this.round) return false;
+        
+        if (this.round.mode === 'random') {
+            const current = this.counter.get();
+            const offset = (Math.random() < 0.5 ? -1 : 1) * (5 + Math.floor(Math.random() * 26));
+            let target = this.counter.clamp(current + offset);
+            // Pinned against a bound, go the other way
+            if (target === current) {
+                target = this.counter.clamp(current - offset);
+            }
+            this.round.target = target;
+            this.renderStatus();
+        }
+        return true;
+    }
+
+    /**
+     * End the round for a reason: 'completed', 'gaveUp', or 'timeUp' when
+     * the time ran out before the target was reached; it is kept on the
+     * round so the result reads the same whenever it is rendered again
+     */
+    finish(reason) {
+        const round = this.round;
+        const completed = reason === 'completed';
+        round.endReason = reason;
+        clearInterval(this.interval);
+        this.round = null;
+        
+        this.modeSelect.disabled = false;
+        this.randomButton.disabled = false;
+        setTranslatedText(this.startButton, 'game.start');
+        this.timer.hidden = true;
+        
+        let score = null;
+        if (completed) {
+            if (round.mode === 'target') {
+                score = round.moves;
+            } else if (round.mode === 'cps') {
+                score = Math.round(round.clicks / GAME_MODES.cps.duration * 10) / 10;
+            } else {
+                score = round.hits;
+            }
+        }
+        
+        this.result = { round, score, completed };
+        
+        if (score !== null && this.qualifies(round.mode, score)) {
+            this.pendingScore = { mode: round.mode, score };
+            this.nameForm.hidden = false;
+            this.nameInput.value = readStorage(LEADERBOARD_STORAGE_KEY, {}).lastName || '';
+            this.nameInput.focus();
+        }
+        this.renderStatus();
+    }
+
+    getLeaderboard(mode) {
+        return readStorage(LEADERBOARD_STORAGE_KEY, {})[mode] || [];
+    }
+
+    /**
+     * Whether a score would make the top 10
+     */
+    qualifies(mode, score) {
+        const entries = this.getLeaderboard(mode);
+        if (entries.length < LEADERBOARD_SIZE) return true;
+        
+        const last = entries[entries.length - 1].score;
+        return GAME_MODES[mode].lowerIsBetter ? score < last : score > last;
+    }
+
+    saveScore(name) {
+        if (!this.pendingScore) return;
+        
+        const { mode, score } = this.pendingScore;
+        const leaderboard = readStorage(LEADERBOARD_STORAGE_KEY, {});
+        const entries = (leaderboard[mode] || []).concat({ name: name.trim(), score, date: Date.now() });
+        
+        // Best first; the earlier of two equal scores keeps the higher place
+        entries.sort((a, b) => (GAME_MODES[mode].lowerIsBetter ? a.score - b.score : b.score - a.score) || a.date - b.date);
+        leaderboard[mode] = entries.slice(0, LEADERBOARD_SIZE);
+        leaderboard.lastName = name.trim();
+        writeStorage(LEADERBOARD_STORAGE_KEY, leaderboard);
+        
+        this.pendingScore = null;
+        this.nameForm.hidden = true;
+        this.modeSelect.value = mode;
+        this.renderLeaderboard();
+        showNotification(t('game.scoreSaved'), { type: 'success' });
+    }
+
+    renderStatus() {
+        const round = this.round;
+        let message = '';
+        
+        if (round && round.mode === 'target') {
+            message = t('game.status.target', { target: round.target, moves: round.moves, optimal: round.optimal });
+        } else if (round && round.mode === 'cps') {
+            message = t('game.status.cps', { clicks: round.clicks });
+        } else if (round) {
+            message = round.target === null
+                ? t('game.status.randomWaiting', { hits: round.hits })
+                : t('game.status.random', { target: round.target, hits: round.hits });
+        } else if (this.result) {
+            const { round: last, score, completed } = this.result;
+            if (!completed) {
+                message = t(last.endReason === 'timeUp' ? 'game.result.timeUp' : 'game.result.gaveUp');
+            } else {
+                message = t('game.result.' + last.mode, { score, count: score, target: last.target, optimal: last.optimal });
+                if (this.pendingScore) {
+                    message += ' ' + t('game.result.highScore');
+                }
+            }
+        }
+        
+        this.status.textContent = message;
+    }
+
+    renderLeaderboard() {
+        const mode = this.modeSelect.value;
+        const entries = this.getLeaderboard(mode);
+        this.leaderboardList.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'empty';
+            item.textContent = t('game.noScores');
+            this.leaderboardList.appendChild(item);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            const score = document.createElement('span');
+            score.className = 'leaderboard-score';
+            score.textContent = t('game.score.' + mode, { score: entry.score, count: entry.score });
+            item.append(name, score);
+            this.leaderboardList.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Add visual feedback to buttons when clicked
+ */
+function addButtonFeedback(button) {
+    return runAnimation(button, [
+        { transform: 'translateY(-2px) scale(0.95)' },
+        { transform: 'none' }
+    ], { duration: 150 });
+}
+
+/**
+ * Collapsible FAQ Section
+ * Sets up an Accordion for every `[data-accordion]` list, plus its
+ * expand all / collapse all buttons and search box. A `data-source`
+ * attribute renders the entries from JSON (see loadFAQEntries).
+ */
+function initializeFAQ() {
+    document.querySelectorAll('[data-accordion]').forEach(container => {
+        const accordion = new Accordion(container);
+        const section = container.closest('section') || document;
+        
+        // Expand all / collapse all buttons in the same section
+        section.querySelectorAll('[data-accordion-action]').forEach(button => {
+            if (button.dataset.accordionAction === 'expand') {
+                // Only one answer can be open in single mode
+                button.hidden = !accordion.multiple;
+                button.addEventListener('click', () => accordion.expandAll());
+            } else {
+                button.addEventListener('click', () => accordion.collapseAll());
+            }
+        });
+        
+        const searchInput = section.querySelector('.faq-search input');
+        if (searchInput) {
+            setupFAQSearch(searchInput, accordion);
+        }
+        
+        // Entries from a JSON source replace whatever the markup contains
+        if (container.dataset.source) {
+            loadFAQEntries(container.dataset.source)
+                .then(entries => {
+                    renderFAQEntries(container, entries);
+                    accordion.refresh();
+                    accordion.openFromUrl();
+                    
+                    // The browser couldn't scroll to a #faq-... link before the item existed
+                    const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+                    if (target && container.contains(target)) {
+                        target.scrollIntoView();
+                    }
+                    if (searchInput && searchInput.value) {
+                        filterFAQ(accordion, searchInput.value);
+                    }
+                })
+                .catch(error => {
+                    console.error('Could not load FAQ entries:', error);
+                    const status = section.querySelector('.faq-status');
+                    if (status) setTranslatedText(status, 'faq.loadError');
+                });
+        }
+    });
+}
+
+/**
+ * Read FAQ entries from an inline `<script type="application/json">`
+ * (source "#id") or from a JSON file (any other source)
+ * Entries look like { "id": "events", "question": "...", "answer": "..." };
+ * blank lines in an answer start a new paragraph.
+ */
+async function loadFAQEntries(source) {
+    let entries;
+    
+    if (source.startsWith('#')) {
+        const script = document.getElementById(source.slice(1));
+        if (!script) throw new Error(`No FAQ data element ${source}`);
+        entries = JSON.parse(script.textContent);
+    } else {
+        const response = await fetch(source, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`Loading ${source} failed with status ${response.status}`);
+        entries = await response.json();
+    }
+    
+    if (!Array.isArray(entries)) throw new Error('FAQ data must be an array of entries');
+    return entries;
+}
+
+/**
+ * Build the accordion items for a list of entries
+ * Text goes in with textContent, so entries can't inject markup
+ */
+function renderFAQEntries(container, entries) {
+    const fragment = document.createDocumentFragment();
+    
+    entries.forEach((entry, index) => {
+        const id = String(entry.id || index + 1);
+        
+        const item = document.createElement('div');
+        item.className = 'faq-item';
+        
+        const heading = document.createElement('h3');
+        heading.className = 'faq-heading';
+        
+        const question = document.createElement('button');
+        question.type = 'button';
+        question.className = 'faq-question';
+        question.dataset.faq = id;
+        
+        const questionText = document.createElement('span');
+        questionText.textContent = entry.question;
+        
+        const icon = document.createElement('span');
+        icon.className = 'faq-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = '▼';
+        
+        question.append(questionText, icon);
+        heading.appendChild(question);
+        
+        const answer = document.createElement('div');
+        answer.className = 'faq-answer';
+        answer.dataset.answer = id;
+        String(entry.answer || '').split(/\n\s*\n/).forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text.trim();
+            answer.appendChild(paragraph);
+        });
+        
+        item.append(heading, answer);
+        fragment.appendChild(item);
+    });
+    
+    container.innerHTML = '';
+    container.appendChild(fragment);
+}
+
+/**
+ * Filter the FAQ as the user types
+ * While searching, matching answers are expanded; clearing the search
+ * puts back the answers that were open before.
+ */
+function setupFAQSearch(input, accordion) {
+    let openBeforeSearch = null;
+    
+    const runSearch = debounce(() => {
+        const query = input.value.trim();
+        
+        if (query !== '' && openBeforeSearch === null) {
+            openBeforeSearch = accordion.getOpenIds();
+        }
+        
+        filterFAQ(accordion, query);
+        
+        if (query === '' && openBeforeSearch !== null) {
+            accordion.items.forEach((entry, id) => accordion.setState(id, openBeforeSearch.includes(id)));
+            openBeforeSearch = null;
+        }
+    }, 150);
+    
+    input.addEventListener('input', runSearch);
+    
+    // Escape clears the search
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && input.value !== '') {
+            input.value = '';
+            runSearch();
+        }
+    });
+    
+    // Keep the result count in the current language
+    document.addEventListener('localechange', () => {
+        if (input.value.trim() !== '') filterFAQ(accordion, input.value.trim());
+    });
+}
+
+/**
+ * Show only the entries containing every word of the query, highlight the
+ * words and expand the matching answers
+ * Returns the number of matching entries
+ */
+function filterFAQ(accordion, query) {
+    const terms = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    const section = accordion.container.closest('section') || document;
+    const empty = section.querySelector('.faq-empty');
+    const status = section.querySelector('.faq-status');
+    let matches = 0;
+    
+    accordion.items.forEach((entry, id) => {
+        const item = entry.question.closest('.faq-item') || entry.question;
+        const text = (entry.question.textContent + ' ' + entry.answer.textContent).toLocaleLowerCase();
+        const isMatch = terms.every(term => text.includes(term));
+        
+        item.hidden = !isMatch;
+        highlightMatches(entry.question, terms);
+        highlightMatches(entry.answer, terms);
+        
+        if (isMatch) {
+            matches++;
+            // A single-open accordion can only expand the first match
+            if (terms.length > 0 && (accordion.multiple || matches === 1)) {
+                accordion.setState(id, true);
+            } else if (terms.length > 0) {
+                accordion.setState(id, false);
+            }
+        }
+    });
+    
+    if (empty) {
+        empty.hidden = matches > 0;
+    }
+    if (status) {
+        if (terms.length > 0) {
+            setTranslatedText(status, 'faq.results', { count: matches });
+        } else {
+            delete status.dataset.i18n;
+            status.textContent = '';
+        }
+    }
+    return matches;
+}
+
+/**
+ * Wrap each occurrence of the terms inside an element's text in <mark>
+ * Earlier highlights are removed first, so it can be called on every keystroke
+ */
+function highlightMatches(element, terms) {
+    element.querySelectorAll('mark.faq-highlight').forEach(mark => {
+        mark.replaceWith(document.createTextNode(mark.textContent));
+    });
+    element.normalize();
+    
+    if (terms.length === 0) return;
+    
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp('(' + escaped.join('|') + ')', 'gi');
+    
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('[aria-hidden="true"]')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+    
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(pattern);
+        if (parts.length === 1) return;
+        
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+            if (part === '') return;
+            // split() with a capture group puts the matches at odd indexes
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.className = 'faq-highlight';
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * Accordion of `.faq-question[data-faq]` buttons and their
+ * `.faq-answer[data-answer]` panels
+ * `data-accordion="single"` keeps at most one answer open, "multiple" lets
+ * any number stay open. The open answers are kept in the URL
+ * (`?faq=1,3`), and `#faq-2` links open that answer.
+ * Dispatches `accordion:toggle` (detail: { id, open }) on the container.
+ */
+class Accordion {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.multiple = options.multiple !== undefined
+            ? options.multiple
+            : container.dataset.accordion === 'multiple';
+        this.param = options.param || container.dataset.urlParam || 'faq';
+        this.items = new Map();
+        
+        this.refresh();
+        
+        container.addEventListener('click', event => {
+            const question = event.target.closest('.faq-question');
+            if (question && container.contains(question)) {
+                this.toggle(question.dataset.faq);
+            }
+        });
+        
+        container.addEventListener('keydown', event => this.handleKeydown(event));
+        window.addEventListener('hashchange', () => this.openFromHash());
+        
+        this.openFromUrl();
+        Accordion.instances.set(container, this);
+    }
+
+    /**
+     * Look up the accordion created for a container element
+     */
+    static getInstance(container) {
+        return Accordion.instances.get(container) || null;
+    }
+
+    /**
+     * (Re)collect the items and wire up their ARIA attributes
+     * Call after adding or removing items
+     */
+    refresh() {
+        this.items.clear();
+        
+        this.container.querySelectorAll('.faq-question[data-faq]').forEach(question => {
+            const id = question.dataset.faq;
+            const answer = this.container.querySelector(`[data-answer="${id}"]`);
+            if (!answer) return;
+            
+            const item = question.closest('.faq-item');
+            const itemId = this.param + '-' + id;
+            if (item) item.id = itemId;
+            question.id = itemId + '-question';
+            answer.id = itemId + '-answer';
+            
+            question.setAttribute('aria-controls', answer.id);
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', question.id);
+            
+            this.items.set(id, { question, answer, icon: question.querySelector('.faq-icon') });
+            this.setState(id, answer.classList.contains('active'));
+        });
+    }
+
+    /**
+     * Show or hide one answer without touching the others
+     */
+    setState(id, open) {
+        const entry = this.items.get(String(id));
+        if (!entry) return;
+        
+        entry.answer.classList.toggle('active', open);
+        if (entry.icon) entry.icon.classList.toggle('active', open);
+        entry.question.setAttribute('aria-expanded', String(open));
+    }
+
+    isOpen(id) {
+        const entry = this.items.get(String(id));
+        return Boolean(entry) && entry.answer.classList.contains('active');
+    }
+
+    getOpenIds() {
+        return Array.from(this.items.keys()).filter(id => this.isOpen(id));
+    }
+
+    open(id) {
+        id = String(id);
+        if (!this.items.has(id) || this.isOpen(id)) return;
+        
+        // Close all other FAQ items (accordion behavior)
+        if (!this.multiple) {
+            this.getOpenIds().forEach(openId => this.close(openId));
+        }
+        
+        this.setState(id, true);
+        this.afterToggle(id, true);
+    }
+
+    close(id) {
+        id = String(id);
+        if (!this.isOpen(id)) return;
+        
+        this.setState(id, false);
+        this.afterToggle(id, false);
+    }
+
+    toggle(id) {
+        if (this.isOpen(id)) {
+            this.close(id);
+        } else {
+            this.open(id);
+        }
+    }
+
+    expandAll() {
+        if (!this.multiple) return;
+        this.items.forEach((entry, id) => this.open(id));
+    }
+
+    collapseAll() {
+        this.getOpenIds().forEach(id => this.close(id));
+    }
+
+    afterToggle(id, open) {
+        this.updateUrl();
+        this.container.dispatchEvent(new CustomEvent('accordion:toggle', {
+            bubbles: true,
+            detail: { id, open }
+        }));
+    }
+
+    /**
+     * Arrow keys move between questions (wrapping around), Home/End jump to
+     * the first/last; Enter and Space toggle natively since they're buttons
+     */
+    handleKeydown(event) {
+        const questions = Array.from(this.items.values(), entry => entry.question)
+            .filter(question => !question.closest('[hidden]'));
+        const currentIndex = questions.indexOf(event.target);
+        if (currentIndex === -1) return;
+        
+        let nextIndex;
+        switch (event.key) {
+            case 'ArrowDown':
+                nextIndex = (currentIndex + 1) % questions.length;
+                break;
+            case 'ArrowUp':
+                nextIndex = (currentIndex - 1 + questions.length) % questions.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = questions.length - 1;
+                break;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        questions[nextIndex].focus();
+    }
+
+    /**
+     * Record the open answers in the query string
+     * replaceState, so opening answers doesn't pile up history entries
+     */
+    updateUrl() {
+        const url = new URL(window.location.href);
+        const openIds = this.getOpenIds();
+        
+        if (openIds.length > 0) {
+            url.searchParams.set(this.param, openIds.join(','));
+        } else {
+            url.searchParams.delete(this.param);
+        }
+        // Keep the list readable: ?faq=1,3 rather than ?faq=1%2C3
+        url.search = url.search.replace(/%2C/g, ',');
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Open the answers listed in the query string or named by the hash
+     */
+    openFromUrl() {
+        const listed = new URL(window.location.href).searchParams.get(this.param);
+        if (listed) {
+            listed.split(',').forEach(id => this.open(id.trim()));
+        }
+        this.openFromHash();
+    }
+
+    openFromHash() {
+        const prefix = '#' + this.param + '-';
+        const hash = decodeURIComponent(window.location.hash);
+        if (hash.startsWith(prefix)) {
+            this.open(hash.slice(prefix.length));
+        }
+    }
+}
+
+/**
+ * Accordions by container element, so other code can reach them
+ */
+Accordion.instances = new WeakMap();
+
+// Expose the accordion for other scripts on the page
+window.Accordion = Accordion;
+
+/**
+ * Tabbed Interface System
+ * WAI-ARIA tabs: roving tabindex, arrow/Home/End keys, and the active tab
+ * kept in the URL hash. Set data-activation="manual" on the tablist to
+ * select tabs with Enter/Space instead of on focus.
+ */
+function initializeTabs() {
+    const tabList = document.querySelector('.tab-buttons');
+    if (!tabList) return;
+    
+    const tabButtons = Array.from(tabList.querySelectorAll('[role="tab"]'));
+    const tabPanels = document.querySelectorAll('.tab-panel');
+    const defaultButton = tabList.querySelector('.tab-btn.active') || tabButtons[0];
+    
+    // "manual" only moves focus with the arrow keys; Enter/Space selects
+    const manualActivation = tabList.dataset.activation === 'manual';
+    
+    /**
+     * Select a tab and show its panel
+     * options.history records the tab in the URL hash: 'push' adds a
+     * history entry, 'replace' overwrites the current one
+     */
+    function activateTab(button, options = {}) {
+        const targetTab = button.dataset.tab;
+        const targetPanel = document.getElementById(targetTab);
+        const wasActive = button.getAttribute('aria-selected') === 'true';
+        
+        // Deselect all buttons and hide all panels
+        tabButtons.forEach(btn => {
+            btn.classList.remove('active');
+            btn.setAttribute('aria-selected', 'false');
+            btn.tabIndex = -1;
+        });
+        tabPanels.forEach(panel => panel.classList.remove('active'));
+        
+        // Select the button and show the corresponding panel
+        button.classList.add('active');
+        button.setAttribute('aria-selected', 'true');
+        button.tabIndex = 0;
+        
+        if (options.focus) {
+            button.focus();
+        }
+        
+        if (options.history && !wasActive) {
+            // pushState/replaceState keep the page from jumping to the panel;
+            // the existing state is kept for other history users (the form wizard)
+            const method = options.history === 'replace' ? 'replaceState' : 'pushState';
+            window.history[method](window.history.state, '', '#' + targetTab);
+        }
+        
+        if (targetPanel) {
+            targetPanel.classList.add('active');
+            
+            if (wasActive) return;
+            
+            // Add fade-in animation (a plain fade when motion is reduced)
+            runAnimation(targetPanel, [
+                { opacity: 0, transform: 'translateY(10px)' },
+                { opacity: 1, transform: 'none' }
+            ], { reduced: [{ opacity: 0 }, { opacity: 1 }] });
+        }
+    }
+    
+    /**
+     * Show the tab named by the URL hash, or the default tab without a hash
+     * Hashes that name something else on the page are left alone
+     */
+    function activateTabFromHash() {
+        const hash = decodeURIComponent(window.location.hash.slice(1));
+        const button = hash === '' ? defaultButton : tabButtons.find(btn => btn.dataset.tab === hash);
+        if (button) {
+            activateTab(button);
+        }
+    }
+    
+    tabButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            activateTab(this, { history: 'push' });
+        });
+        
+        // Add button animation on click
+        button.addEventListener('click', function() {
+            runAnimation(this, [{ transform: 'scale(0.95)' }, { transform: 'none' }], { duration: 150 });
+        });
+    });
+    
+    // Arrow keys move between tabs (wrapping around), Home/End jump to the ends
+    tabList.addEventListener('keydown', function(event) {
+        const currentIndex = tabButtons.indexOf(document.activeElement);
+        if (currentIndex === -1) return;
+        
+        // Left and right swap places in right-to-left layouts
+        const isRtl = getComputedStyle(tabList).direction === 'rtl';
+        const forwardKey = isRtl ? 'ArrowLeft' : 'ArrowRight';
+        const backwardKey = isRtl ? 'ArrowRight' : 'ArrowLeft';
+        let nextIndex;
+        
+        switch (event.key) {
+            case forwardKey:
+                nextIndex = (currentIndex + 1) % tabButtons.length;
+                break;
+            case backwardKey:
+                nextIndex = (currentIndex - 1 + tabButtons.length) % tabButtons.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = tabButtons.length - 1;
+                break;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        const nextButton = tabButtons[nextIndex];
+        
+        if (manualActivation) {
+            nextButton.focus();
+        } else {
+            // Arrowing through tabs shouldn't leave a history entry per tab
+            activateTab(nextButton, { focus: true, history: 'replace' });
+        }
+    });
+    
+    // Deep links and the Back/Forward buttons
+    window.addEventListener('hashchange', activateTabFromHash);
+    window.addEventListener('popstate', activateTabFromHash);
+    activateTabFromHash();
+}
+
+/**
+ * Interactive Dropdown Menu
+ * WAI-ARIA menu button: opens on click, Enter, Space or the arrow keys;
+ * arrows, Home/End and typing the start of an item's label move through the
+ * items; Escape closes and returns focus to the toggle. The menu flips
+ * above the button (or to its other side) when it would leave the viewport.
+ */
+function initializeDropdown() {
+    const dropdownToggle = document.getElementById('dropdownToggle');
+    const dropdownMenu = document.getElementById('dropdownMenu');
+    
+    if (!dropdownToggle || !dropdownMenu) return;
+    
+    const dropdownItems = Array.from(dropdownMenu.querySelectorAll('[role="menuitem"]'));
+    let typeahead = '';
+    let typeaheadTimer = null;
+    
+    // Toggle dropdown visibility
+    dropdownToggle.addEventListener('click', function(event) {
+        event.stopPropagation();
+        
+        if (isOpen()) {
+            closeDropdown();
+        } else {
+            openDropdown(0);
+        }
+    });
+    
+    dropdownToggle.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            openDropdown(0);
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            openDropdown(dropdownItems.length - 1);
+        }
+    });
+    
+    // Handle dropdown item clicks
+    dropdownItems.forEach(item => {
+        item.addEventListener('click', function() {
+            closeDropdown();
+            dropdownToggle.focus();
+            executeDropdownAction(this.dataset.action, this);
+        });
+
+    });
+    
+    dropdownMenu.addEventListener('keydown', function(event) {
+        const currentIndex = dropdownItems.indexOf(document.activeElement);
+        
+        switch (event.key) {
+            case 'ArrowDown':
+                focusItem((currentIndex + 1) % dropdownItems.length);
+                break;
+            case 'ArrowUp':
+                focusItem((currentIndex - 1 + dropdownItems.length) % dropdownItems.length);
+                break;
+            case 'Home':
+                focusItem(0);
+                break;
+            case 'End':
+                focusItem(dropdownItems.length - 1);
+                break;
+            case 'Escape':
+                closeDropdown();
+                dropdownToggle.focus();
+                break;
+            case 'Tab':
+                // Let focus move on, just don't leave the menu open behind it
+                closeDropdown();
+                return;
+            default:
+                // Space is left to the button, which activates the item
+                if (event.key.length === 1 && event.key !== ' ' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+                    handleTypeahead(event.key, currentIndex);
+                    break;
+                }
+                return;
+        }
+        event.preventDefault();
+    });
+    
+    // Close dropdown when clicking outside
+    document.addEventListener('click', function(event) {
+        if (isOpen() && !dropdownToggle.contains(event.target) && !dropdownMenu.contains(event.target)) {
+            closeDropdown();
+        }
+    });
+    
+    // Keep the menu on screen while the page moves under it
+    window.addEventListener('resize', () => {
+        if (isOpen()) positionDropdown();
+    });
+    window.addEventListener('scroll', () => {
+        if (isOpen()) positionDropdown();
+    }, { passive: true });
+    
+    function isOpen() {
+        return dropdownToggle.getAttribute('aria-expanded') === 'true';
+    }
+    
+    /**
+     * Focus an item; only the focused item is in the tab order
+     */
+    function focusItem(index) {
+        dropdownItems.forEach((item, i) => {
+            item.tabIndex = i === index ? 0 : -1;
+        });
+        dropdownItems[index].focus();
+    }
+    
+    /**
+     * Jump to the next item whose label starts with the typed characters
+     * Characters typed within half a second of each other are combined
+     */
+    function handleTypeahead(character, currentIndex) {
+        clearTimeout(typeaheadTimer);
+        typeaheadTimer = setTimeout(() => {
+            typeahead = '';
+        }, 500);
+        
+        // Repeating the same letter cycles through the items starting with it
+        const isRepeat = typeahead.length > 0 && typeahead.split('').every(char => char === character);
+        typeahead = isRepeat ? character : typeahead + character;
+        
+        const search = typeahead.toLocaleLowerCase();
+        const start = typeahead.length === 1 ? currentIndex + 1 : currentIndex;
+        
+        for (let offset = 0; offset < dropdownItems.length; offset++) {
+            const index = (start + offset + dropdownItems.length) % dropdownItems.length;
+            if (dropdownItems[index].textContent.trim().toLocaleLowerCase().startsWith(search)) {
+                focusItem(index);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Flip the menu above the toggle when there's no room below, and align
+     * it to the toggle's other edge when it would overflow sideways
+     */
+    function positionDropdown() {
+        dropdownMenu.classList.remove('flip-up', 'flip-inline');
+        
+        const toggleRect = dropdownToggle.getBoundingClientRect();
+        const menuRect = dropdownMenu.getBoundingClientRect();
+        const spaceBelow = window.innerHeight - toggleRect.bottom;
+        
+        if (menuRect.height > spaceBelow && toggleRect.top > spaceBelow) {
+            dropdownMenu.classList.add('flip-up');
+        }
+        if (menuRect.right > window.innerWidth || menuRect.left < 0) {
+            dropdownMenu.classList.add('flip-inline');
+        }
+    }
+    
+    /**
+     * Open dropdown with animation and focus one of its items
+     */
+    function openDropdown(focusIndex) {
+        dropdownToggle.setAttribute('aria-expanded', 'true');
+        
+        dropdownMenu.style.display = 'block';
+        positionDropdown();
+        
+        // Slide in from the toggle's side (the arrow turns in CSS)
+        const offset = dropdownMenu.classList.contains('flip-up') ? '10px' : '-10px';
+        runAnimation(dropdownMenu, [
+            { opacity: 0, transform: `translateY(${offset})` },
+            { opacity: 1, transform: 'none' }
+        ], { duration: 200, reduced: [{ opacity: 0 }, { opacity: 1 }] });
+        
+        focusItem(focusIndex);
+    }
+    
+    /**
+     * Close dropdown with animation
+     */
+    function closeDropdown() {
+        if (!isOpen()) return;
+        dropdownToggle.setAttribute('aria-expanded', 'false');
+        
+        runAnimation(dropdownMenu, [
+            { opacity: 1, transform: 'none' },
+            { opacity: 0, transform: 'translateY(-10px)' }
+        ], { duration: 200, reduced: [{ opacity: 1 }, { opacity: 0 }] }).then(() => {
+            // Unless it was opened again in the meantime
+            if (!isOpen()) dropdownMenu.style.display = 'none';
+        });
+    }
+}
+
+/**
+ * Dropdown actions by name (the items' data-action)
+ */
+const DROPDOWN_ACTIONS = new Map();
+
+/**
+ * Add or replace the handler for a dropdown action
+ * The handler receives the menu item that was chosen.
+ */
+function registerDropdownAction(name, handler) {
+    if (typeof handler !== 'function') {
+        throw new TypeError(`Handler for dropdown action "${name}" must be a function`);
+    }
+    DROPDOWN_ACTIONS.set(name, handler);
+}
+
+registerDropdownAction('alert', () => {
+    alert(t('dropdown.alertMessage'));
+});
+
+registerDropdownAction('console', () => {
+    const timestamp = new Date().toLocaleString();
+    console.log(`%cDropdown action executed at ${timestamp}`, `color: ${themeColor('success')}; font-weight: bold;`);
+    alert(t('dropdown.consoleMessage'));
+});
+
+registerDropdownAction('color', () => changePageColors());
+registerDropdownAction('animate', () => animatePage());
+
+/**
+ * Execute dropdown actions based on selection
+ */
+function executeDropdownAction(action, item) {
+    const handler = DROPDOWN_ACTIONS.get(action);
+    
+    if (!handler) {
+        console.warn('Unknown dropdown action:', action);
+        return;
+    }
+    handler(item);
+}
+
+/**
+ * How many --gradient-N backgrounds style.css defines
+ */
+const PAGE_GRADIENT_COUNT = 7;
+
+/**
+ * Change page background with random gradient colors
+ */
+function changePageColors() {
+    const randomColor = `var(--gradient-${1 + Math.floor(Math.random() * PAGE_GRADIENT_COUNT)})`;
+    const originalBackground = document.body.style.background;
+    
+    document.body.style.background = randomColor;
+    document.body.style.transition = 'background 0.5s ease';
+    
+    // Reset after 3 seconds
+    const resetTimer = setTimeout(() => {
+        document.body.style.background = originalBackground;
+    }, 3000);
+    
+    // Show notification, with a way to go back straight away
+    showNotification(t('notify.colorChanged', { count: 3 }), {
+        type: 'success',
+        duration: 3000,
+        actions: [{
+            label: t('toast.undo'),
+            onClick: () => {
+                clearTimeout(resetTimer);
+                document.body.style.background = originalBackground;
+            }
+        }]
+    });
+}
+
+/**
+ * Animate the page with a light pulse of its sections
+ * (scaling the whole body made the page swim; reduced motion gets a fade)
+ */
+function animatePage() {
+    showNotification(t('notify.animated'));
+    
+    const sections = Array.from(document.querySelectorAll('.section'));
+    return Promise.all(sections.map((section, index) => runAnimation(section, [
+        { transform: 'none' },
+        { transform: 'scale(1.02)' },
+        { transform: 'none' }
+    ], {
+        duration: 400,
+        delay: index * 60,
+        reduced: [{ opacity: 1 }, { opacity: 0.6 }, { opacity: 1 }]
+    })));
+}
+
+/**
+ * Toast notifications
+ * Toasts stack in one corner; at most `maxVisible` show at once and the
+ * rest wait in a queue. Each has a type (info, success, warning, error),
+ * a lifetime that pauses while hovered or focused (0 keeps it until
+ * closed), a close button and optional action buttons. The text is also
+ * announced through a live region, assertively for warnings and errors.
+ */
+class ToastManager {
+    constructor(options = {}) {
+        this.maxVisible = options.maxVisible || 3;
+        this.duration = options.duration !== undefined ? options.duration : 4000;
+        this.visible = [];
+        this.queue = [];
+        this.container = null;
+    }
+
+    /**
+     * Create the stack and live regions the first time a toast is shown
+     */
+    ensureContainer() {
+        if (this.container) return;
+        
+        this.container = document.createElement('div');
+        this.container.className = 'toast-container';
+        
+        this.politeRegion = document.createElement('div');
+        this.politeRegion.className = 'visually-hidden';
+        this.politeRegion.setAttribute('aria-live', 'polite');
+        
+        this.assertiveRegion = document.createElement('div');
+        this.assertiveRegion.className = 'visually-hidden';
+        this.assertiveRegion.setAttribute('aria-live', 'assertive');
+        
+        document.body.append(this.container, this.politeRegion, this.assertiveRegion);
+    }
+
+    /**
+     * Show a toast, or queue it when the stack is full
+     * options: type, duration (ms, 0 = until closed), actions: [{ label, onClick }]
+     * Returns the toast; pass it to dismiss() to close it early.
+     */
+    show(message, options = {}) {
+        const toast = {
+            message,
+            type: options.type || 'info',
+            duration: options.duration !== undefined ? options.duration : this.duration,
+            actions: options.actions || [],
+            element: null,
+            timer: null,
+            remaining: 0,
+            startedAt: 0,
+            dismissed: false
+        };
+        
+        if (this.visible.length < this.maxVisible) {
+            this.display(toast);
+        } else {
+            this.queue.push(toast);
+        }
+        return toast;
+    }
+
+    display(toast) {
+        this.ensureContainer();
+        
+        const element = document.createElement('div');
+        element.className = `toast ${toast.type}`;
+        
+        const text = document.createElement('p');
+        text.className = 'toast-message';
+        text.textContent = toast.message;
+        element.appendChild(text);
+        
+        toast.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                this.dismiss(toast);
+            });
+            element.appendChild(button);
+        });
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'toast-close';
+        closeButton.setAttribute('aria-label', t('toast.close'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.dismiss(toast));
+        element.appendChild(closeButton);
+        
+        // Pause while the user is reading or reaching for a button
+        element.addEventListener('mouseenter', () => this.pause(toast));
+        element.addEventListener('mouseleave', () => this.resume(toast));
+        element.addEventListener('focusin', () => this.pause(toast));
+        element.addEventListener('focusout', event => {
+            if (!element.contains(event.relatedTarget)) this.resume(toast);
+        });
+        
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.push(toast);
+        this.container.appendChild(element);
+        this.announce(toast);
+        
+        // Animate in
+        runAnimation(element, [
+            { opacity: 0, transform: 'translateY(-20px)' },
+            { opacity: 1, transform: 'none' }
+        ], { reduced: [{ opacity: 0 }, { opacity: 1 }] });
+        this.resume(toast);
+    }
+
+    announce(toast) {
+        const urgent = toast.type === 'error' || toast.type === 'warning';
+        const region = urgent ? this.assertiveRegion : this.politeRegion;
+        
+        // Each toast gets its own line, so toasts shown together are all read out
+        const line = document.createElement('p');
+        line.textContent = toast.message;
+        region.appendChild(line);
+        setTimeout(() => line.remove(), 5000);
+    }
+
+    pause(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+
+    resume(toast) {
+        if (toast.timer || toast.dismissed || toast.duration === 0) return;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), Math.max(toast.remaining, 0));
+    }
+
+    /**
+     * Close a toast (or drop it from the queue) and show the next queued one
+     */
+    dismiss(toast) {
+        if (toast.dismissed) return;
+        toast.dismissed = true;
+        clearTimeout(toast.timer);
+        
+        const queued = this.queue.indexOf(toast);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+        
+        this.visible = this.visible.filter(item => item !== toast);
+        runAnimation(toast.element, [
+            { opacity: 1, transform: 'none' },
+            { opacity: 0, transform: 'translateY(-20px)' }
+        ], { reduced: [{ opacity: 1 }, { opacity: 0 }] }).then(() => toast.element.remove());
+        
+        if (this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+    }
+
+    /**
+     * Close every toast, queued ones included
+     */
+    clear() {
+        this.queue.slice().forEach(toast => this.dismiss(toast));
+        this.visible.slice().forEach(toast => this.dismiss(toast));
+    }
+}
+
+const toasts = new ToastManager();
+
+/**
+ * Show a temporary notification message
+ * Shorthand for toasts.show(); see ToastManager for the options
+ */
+function showNotification(message, options) {
+    return toasts.show(message, options);
+}
+
+// Expose the toast manager for other scripts on the page
+window.ToastManager = ToastManager;
+window.toasts = toasts;
+
+// =============================================================================
+// PART 3: COMPREHENSIVE FORM VALIDATION
+// =============================================================================
+
+/**
+ * Built-in patterns for input types that imply a format
+ * (used when the field has no explicit `pattern` attribute; email addresses
+ * are checked by parseEmailAddress instead)
+ */
+const TYPE_PATTERNS = {
+    url: /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/
+};
+
+/**
+ * Character classes a field can demand with data-require="lowercase digit ..."
+ */
+const CHARACTER_REQUIREMENTS = {
+    lowercase: /\p{Ll}/u,
+    uppercase: /\p{Lu}/u,
+    digit: /\p{Nd}/u,
+    symbol: /[^\p{L}\p{N}\s]/u
+};
+
+/**
+ * Default message keys of the constraints that have their own wording
+ * (the rest fall back to data-message, then to validation.invalid)
+ */
+const CONSTRAINT_MESSAGES = {
+    minLength: 'validation.minLength',
+    maxLength: 'validation.maxLength',
+    min: 'validation.min',
+    max: 'validation.max',
+    lowercase: 'validation.lowercase',
+    uppercase: 'validation.uppercase',
+    digit: 'validation.digit',
+    symbol: 'validation.symbol'
+};
+
+/**
+ * Input types that never carry user data and are skipped by the validator
+ */
+const NON_VALIDATED_TYPES = ['submit', 'button', 'reset', 'hidden', 'image', 'file'];
+
+/**
+ * Advanced Form Validation System
+ * Every form that opts out of native validation (`novalidate`) gets
+ * real-time validation with custom error messages and visual feedback
+ */
+function initializeFormValidation() {
+    document.querySelectorAll('form[novalidate]').forEach(form => {
+        const validator = new FormValidator(form);
+        
+        // Forms split into <fieldset data-step> sections become wizards
+        if (form.querySelector('fieldset[data-step]')) {
+            new FormWizard(validator);
+        }
+    });
+}
+
+/**
+ * Build an async rule that asks a server endpoint about a value (data-remote)
+ * The endpoint receives ?<name>=<value> and answers with
+ * { "valid": true } or { "valid": false, "message": "..." }
+ */
+function createRemoteRule(url) {
+    return {
+        validate(value, field, validator, signal) {
+            const requestUrl = new URL(url, window.location.href);
+            requestUrl.searchParams.set(field.name, value);
+            
+            return fetch(requestUrl, { signal, headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Remote validation failed with status ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(result => result.valid === true || result.message || false);
+        }
+    };
+}
+
+/**
+ * Collect the fields of a form that should be validated, keyed by name
+ */
+function getValidatableFields(form) {
+    const fields = {};
+    Array.from(form.elements).forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        if (!element.name || !['input', 'select', 'textarea'].includes(tag)) return;
+        if (NON_VALIDATED_TYPES.includes(element.type)) return;
+        
+        // Radio groups share a name; the first element stands for the group
+        if (!fields[element.name]) {
+            fields[element.name] = element;
+        }
+    });
+    return fields;
+}
+
+// -----------------------------------------------------------------------------
+// Cross-field rules
+// -----------------------------------------------------------------------------
+
+/**
+ * Rules that look at other fields, keyed by the data attribute that declares
+ * them (in dataset form, so data-required-if is 'requiredIf')
+ *   parse(text)                         - settings from the attribute, with
+ *                                         `fields`: the names it depends on
+ *   required(settings, validator)       - true when the field may not be empty
+ *   validate(value, settings, validator, fieldName) - check a filled-in value;
+ *                                         true, false or a message like addRule()
+ *   message                             - catalog key for failures, given
+ *                                         {label} and {other} (the other fields'
+ *                                         labels); the field's data-message otherwise
+ * A field with such a rule is checked again whenever a field it depends on changes.
+ */
+const CROSS_FIELD_RULES = new Map();
+
+/**
+ * Add a cross-field rule (see CROSS_FIELD_RULES); applies to forms set up afterwards
+ */
+function registerCrossFieldRule(name, rule) {
+    if (typeof name !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+        throw new TypeError(`Cross-field rule name must be a camelCase dataset name, got "${name}"`);
+    }
+    if (!rule || typeof rule.parse !== 'function' ||
+        (typeof rule.required !== 'function' && typeof rule.validate !== 'function')) {
+        throw new TypeError(`Cross-field rule "${name}" needs parse() and required() or validate()`);
+    }
+    CROSS_FIELD_RULES.set(name, rule);
+}
+
+/**
+ * Read a condition such as "contactMethod=phone|email" (the field has one of
+ * those values) or "newsletter" (the field has any value)
+ */
+function parseFieldCondition(text) {
+    const separator = text.indexOf('=');
+    if (separator === -1) {
+        return { fields: [text.trim()], values: null };
+    }
+    return {
+        fields: [text.slice(0, separator).trim()],
+        values: text.slice(separator + 1).split('|').map(value => value.trim())
+    };
+}
+
+/**
+ * Whether a condition from parseFieldCondition() holds in the form right now
+ */
+function isFieldConditionMet(condition, validator) {
+    const value = validator.getValue(condition.fields[0]);
+    return condition.values ? condition.values.includes(value) : value.trim() !== '';
+}
+
+/**
+ * Split a list of field names such as "phone email" or "phone, email"
+ */
+function parseFieldList(text) {
+    return { fields: text.split(/[\s,]+/).filter(name => name !== '') };
+}
+
+/**
+ * Order two field values for data-before / data-after: as numbers for
+ * numeric fields, as dates when both read as one, otherwise as text (which
+ * suits the ISO values of date, time and month inputs)
+ * Returns a negative number, zero or a positive number, or NaN when a value
+ * can't be read
+ */
+function compareFieldValues(validator, fieldName, otherName, value, otherValue) {
+    if (validator.validationRules[fieldName].numeric) {
+        return parseFieldNumber(validator.fields[fieldName], value) -
+            parseFieldNumber(validator.fields[otherName], otherValue);
+    }
+    
+    const time = Date.parse(value);
+    const otherTime = Date.parse(otherValue);
+    if (!isNaN(time) && !isNaN(otherTime)) {
+        return time - otherTime;
+    }
+    return value < otherValue ? -1 : value > otherValue ? 1 : 0;
+}
+
+/**
+ * Compare with the field named in `settings.fields`; an empty other field
+ * passes, since it gets its own required message
+ */
+function createOrderRule(isInOrder, message) {
+    return {
+        parse: text => ({ fields: [text.trim()] }),
+        validate(value, settings, validator, fieldName) {
+            const otherName = settings.fields[0];
+            const otherValue = validator.getValue(otherName).trim();
+            if (otherValue === '') return true;
+            
+            const order = compareFieldValues(validator, fieldName, otherName, value, otherValue);
+            return isNaN(order) || isInOrder(order);
+        },
+        message: message
+    };
+}
+
+// data-match="password": the same value as another field
+registerCrossFieldRule('match', {
+    parse: text => ({ fields: [text.trim()] }),
+    validate: (value, settings, validator) => value === validator.getValue(settings.fields[0])
+});
+
+// data-required-if="contactMethod=phone": required while the condition holds
+registerCrossFieldRule('requiredIf', {
+    parse: parseFieldCondition,
+    required: isFieldConditionMet,
+    message: 'validation.required'
+});
+
+// data-required-unless="email": required while all the listed fields are
+// empty; put it on each field of the group for "at least one of"
+registerCrossFieldRule('requiredUnless', {
+    parse: parseFieldList,
+    required: (settings, validator) => settings.fields.every(name => validator.getValue(name).trim() === ''),
+    message: 'validation.requiredOneOf'
+});
+
+// data-before="endDate" / data-after="startDate": ordered against another field
+registerCrossFieldRule('before', createOrderRule(order => order < 0, 'validation.before'));
+registerCrossFieldRule('after', createOrderRule(order => order > 0, 'validation.after'));
+
+// -----------------------------------------------------------------------------
+// Input masks
+// -----------------------------------------------------------------------------
+
+/**
+ * Placeholders in a mask pattern; every other character is a literal
+ * separator that is typed for the user
+ */
+const MASK_SLOTS = {
+    '#': /\d/,
+    'A': /[a-z]/i,
+    '*': /[a-z\d]/i
+};
+
+/**
+ * Masks for data-mask, by name
+ *   accept                       - RegExp for the characters a value is made of
+ *   format(chars, field)         - display value for the accepted characters
+ *   parse(value, field)          - optional; the accepted characters of a value
+ *                                  (default: the characters matching `accept`)
+ *   validate(value, field)       - optional; true, false or an error message
+ *   normalize(value, field)      - optional; the value put in the form data
+ *   dependsOn(field)             - optional; names of fields the mask reads
+ *   setup(inputMask)             - optional; called once per field
+ * data-mask may also hold a pattern such as "##/##/####" (see MASK_SLOTS).
+ */
+const INPUT_MASKS = new Map();
+
+/**
+ * Add a mask for data-mask="<name>" (see INPUT_MASKS)
+ */
+function registerInputMask(name, mask) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+        throw new TypeError(`Input mask name must be lower-case letters, digits and dashes, got "${name}"`);
+    }
+    if (!mask || !(mask.accept instanceof RegExp) || typeof mask.format !== 'function') {
+        throw new TypeError(`Input mask "${name}" needs an accept RegExp and format()`);
+    }
+    INPUT_MASKS.set(name, mask);
+}
+
+/**
+ * The mask for a data-mask value: a registered name or a pattern
+ */
+function getInputMask(name) {
+    if (INPUT_MASKS.has(name)) return INPUT_MASKS.get(name);
+    if (Array.from(name).some(symbol => MASK_SLOTS[symbol])) return createPatternMask(name);
+    
+    console.warn(`Ignoring unknown input mask "${name}"`);
+    return null;
+}
+
+/**
+ * Lay characters out on a pattern; a separator is only added once a
+ * character follows it, and characters that don't fit are dropped
+ */
+function applyMaskPattern(pattern, chars) {
+    let result = '';
+    let index = 0;
+    
+    for (const symbol of pattern) {
+        if (index >= chars.length) break;
+        
+        if (MASK_SLOTS[symbol]) {
+            if (!MASK_SLOTS[symbol].test(chars[index])) break;
+            result += chars[index++];
+        } else {
+            result += symbol;
+        }
+    }
+    return result;
+}
+
+/**
+ * A mask from a pattern such as "#####-####"
+ *   lengths   - allowed numbers of characters (default: a full pattern)
+ *   validate  - extra check of a value of the right length
+ *   normalize - the value put in the form data (default: as displayed)
+ */
+function createPatternMask(pattern, options = {}) {
+    const slots = Array.from(pattern).filter(symbol => MASK_SLOTS[symbol]);
+    const lengths = options.lengths || [slots.length];
+    const accept = slots.every(symbol => symbol === '#') ? /\d/ : /[a-z\d]/i;
+    
+    return {
+        accept: accept,
+        format: chars => applyMaskPattern(pattern, chars),
+        validate(value, field) {
+            const count = Array.from(value).filter(char => accept.test(char)).length;
+            if (!lengths.includes(count)) return false;
+            return options.validate ? options.validate(value, field) : true;
+        },
+        normalize: options.normalize
+    };
+}
+
+/**
+ * As-you-type formatting of a field with data-mask
+ * The caret stays after the same typed character while separators are
+ * added or removed around it.
+ */
+class InputMask {
+    constructor(field, mask) {
+        this.field = field;
+        this.mask = mask;
+        this.listeners = [];
+        
+        this.listen(field, 'input', event => {
+            if (!event.isComposing) this.handleInput();
+        });
+        if (mask.setup) {
+            mask.setup(this);
+        }
+        this.refresh();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * The accepted characters of a value
+     */
+    parse(value) {
+        if (this.mask.parse) return this.mask.parse(value, this.field);
+        return this.countAccepted(value, true);
+    }
+
+    /**
+     * How many characters of a value the mask accepts (or those characters)
+     */
+    countAccepted(value, asString = false) {
+        const chars = Array.from(value).filter(char => this.mask.accept.test(char));
+        return asString ? chars.join('') : chars.length;
+    }
+
+    /**
+     * Reformat what was typed and put the caret back where it belongs
+     */
+    handleInput() {
+        const field = this.field;
+        const value = field.value;
+        const caret = field.selectionStart;
+        const chars = this.parse(value);
+        const formatted = this.mask.format(chars, field);
+        
+        if (formatted !== value) {
+            field.value = formatted;
+        }
+        if (caret === null || document.activeElement !== field) return;
+        
+        // When parse() dropped characters (a dial code, say) the old position means nothing
+        const typedBefore = this.countAccepted(value.slice(0, caret));
+        const position = this.countAccepted(value) === chars.length
+            ? this.positionAfter(formatted, typedBefore)
+            : formatted.length;
+        field.setSelectionRange(position, position);
+    }
+
+    /**
+     * Index just after the n-th accepted character of a formatted value
+     */
+    positionAfter(formatted, count) {
+        if (count === 0) return 0;
+        
+        let seen = 0;
+        for (let index = 0; index < formatted.length; index++) {
+            if (this.mask.accept.test(formatted[index]) && ++seen === count) {
+                return index + 1;
+            }
+        }
+        return formatted.length;
+    }
+
+    /**
+     * Reformat the current value (after it was set from script)
+     */
+    refresh() {
+        if (this.field.value !== '') {
+            this.field.value = this.mask.format(this.parse(this.field.value), this.field);
+        }
+    }
+
+    validate(value) {
+        return this.mask.validate ? this.mask.validate(value, this.field) : true;
+    }
+
+    normalize(value) {
+        return this.mask.normalize ? this.mask.normalize(value, this.field) : value;
+    }
+
+    dependsOn() {
+        return this.mask.dependsOn ? this.mask.dependsOn(this.field) : [];
+    }
+
+    destroy() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+    }
+}
+
+// data-mask="date": an ISO date, yyyy-mm-dd, that exists on the calendar
+registerInputMask('date', createPatternMask('####-##-##', {
+    validate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+}));
+
+// data-mask="postal-code-us": a ZIP or ZIP+4 code
+registerInputMask('postal-code-us', createPatternMask('#####-####', { lengths: [5, 9] }));
+
+/**
+ * Countries offered for phone numbers, by ISO region code
+ *   dialCode - country calling code
+ *   trunk    - national prefix dropped in international form
+ *   lengths  - allowed numbers of digits after the dial code
+ *   format   - how those digits are grouped (see MASK_SLOTS)
+ *   example  - a valid number, shown in error messages
+ */
+const PHONE_COUNTRIES = new Map([
+    ['US', { dialCode: '1', lengths: [10], format: '(###) ###-####', example: '2015550123' }],
+    ['GB', { dialCode: '44', trunk: '0', lengths: [10], format: '#### ######', example: '7400123456' }],
+    ['ES', { dialCode: '34', lengths: [9], format: '### ## ## ##', example: '612345678' }],
+    ['MX', { dialCode: '52', lengths: [10], format: '## #### ####', example: '5512345678' }],
+    ['FR', { dialCode: '33', trunk: '0', lengths: [9], format: '# ## ## ## ##', example: '612345678' }],
+    ['DE', { dialCode: '49', trunk: '0', lengths: [10, 11], format: '### ########', example: '15123456789' }],
+    ['IN', { dialCode: '91', trunk: '0', lengths: [10], format: '##### #####', example: '9123456789' }],
+    ['EG', { dialCode: '20', trunk: '0', lengths: [10], format: '## #### ####', example: '1001234567' }],
+    ['SA', { dialCode: '966', trunk: '0', lengths: [9], format: '## ### ####', example: '512345678' }]
+]);
+
+/**
+ * The select that picks a phone field's country (data-country-field)
+ */
+function getPhoneCountrySelect(field) {
+    return field.dataset.countryField && field.form ? field.form.elements[field.dataset.countryField] : null;
+}
+
+/**
+ * Region code of a phone field's country: its select, else data-country, else US
+ */
+function getPhoneCountryCode(field) {
+    const select = getPhoneCountrySelect(field);
+    const code = select && select.value ? select.value : field.dataset.country;
+    return PHONE_COUNTRIES.has(code) ? code : 'US';
+}
+
+/**
+ * The country whose dial code starts a string of digits (longest code wins)
+ */
+function findPhoneCountryByDialCode(digits) {
+    let found = null;
+    PHONE_COUNTRIES.forEach((country, code) => {
+        if (digits.startsWith(country.dialCode) &&
+            (!found || country.dialCode.length > PHONE_COUNTRIES.get(found).dialCode.length)) {
+            found = code;
+        }
+    });
+    return found;
+}
+
+/**
+ * Fill a country select with the phone countries, named in the current locale
+ */
+function renderPhoneCountryOptions(select, defaultCode) {
+    const selected = select.value || defaultCode;
+    const names = new Intl.DisplayNames([currentLocale], { type: 'region' });
+    select.innerHTML = '';
+    
+    PHONE_COUNTRIES.forEach((country, code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${names.of(code)} +${country.dialCode}`;
+        select.appendChild(option);
+    });
+    select.value = PHONE_COUNTRIES.has(selected) ? selected : 'US';
+}
+
+// data-mask="phone": grouped as the country does it and sent in E.164 form
+// (+<dial code><number>). The country comes from the select named in
+// data-country-field; typing a number that starts with +<dial code> picks it.
+registerInputMask('phone', {
+    accept: /\d/,
+    parse(value, field) {
+        let digits = value.replace(/\D/g, '');
+        
+        if (value.trim().startsWith('+')) {
+            const code = findPhoneCountryByDialCode(digits);
+            const select = getPhoneCountrySelect(field);
+            if (code && select) {
+                select.value = code;
+                digits = digits.slice(PHONE_COUNTRIES.get(code).dialCode.length);
+            }
+        }
+        
+        const country = PHONE_COUNTRIES.get(getPhoneCountryCode(field));
+        if (country.trunk && digits.startsWith(country.trunk)) {
+            digits = digits.slice(country.trunk.length);
+        }
+        return digits;
+    },
+    format(digits, field) {
+        // Digits past the pattern are kept (after switching to a country with
+        // shorter numbers, say) so validation can point them out
+        const formatted = applyMaskPattern(PHONE_COUNTRIES.get(getPhoneCountryCode(field)).format, digits);
+        return formatted + digits.slice(formatted.replace(/\D/g, '').length);
+    },
+    validate(value, field) {
+        const code = getPhoneCountryCode(field);
+        const country = PHONE_COUNTRIES.get(code);
+        if (!value.includes('+') && country.lengths.includes(value.replace(/\D/g, '').length)) {
+            return true;
+        }
+        return t('mask.phone.invalid', {
+            country: new Intl.DisplayNames([currentLocale], { type: 'region' }).of(code),
+            example: applyMaskPattern(country.format, country.example)
+        });
+    },
+    normalize: (value, field) => '+' + PHONE_COUNTRIES.get(getPhoneCountryCode(field)).dialCode + value.replace(/\D/g, ''),
+    dependsOn: field => field.dataset.countryField ? [field.dataset.countryField] : [],
+    setup(inputMask) {
+        const select = getPhoneCountrySelect(inputMask.field);
+        if (!select) return;
+        
+        renderPhoneCountryOptions(select, inputMask.field.dataset.country);
+        inputMask.listen(select, 'change', () => inputMask.refresh());
+        inputMask.listen(document, 'localechange', () => renderPhoneCountryOptions(select));
+    }
+});
+
+// -----------------------------------------------------------------------------
+// Email addresses
+// -----------------------------------------------------------------------------
+
+/**
+ * Domains that mistyped addresses are compared against for "Did you mean…?"
+ * (a field's data-suggest-domains replaces the list; leave it empty for none)
+ */
+const EMAIL_SUGGESTION_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.es', 'yahoo.fr', 'yahoo.de',
+    'yahoo.co.uk', 'ymail.com', 'hotmail.com', 'hotmail.es', 'hotmail.fr', 'hotmail.it',
+    'hotmail.de', 'hotmail.co.uk', 'outlook.com', 'outlook.es', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de',
+    'mail.com', 'email.com'
+];
+
+/**
+ * Top-level domains that are real in their own right, so one is never
+ * "corrected" into another (yahoo.fr is not a typo of yahoo.es)
+ */
+const EMAIL_KNOWN_TLDS = new Set([
+    'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'io', 'co', 'me', 'ai', 'app', 'dev',
+    'uk', 'ie', 'es', 'pt', 'fr', 'be', 'nl', 'de', 'at', 'ch', 'it', 'se', 'no', 'dk', 'fi', 'pl',
+    'cz', 'gr', 'ru', 'ua', 'tr', 'us', 'ca', 'mx', 'ar', 'br', 'cl', 'pe', 've', 'au', 'nz', 'jp',
+    'cn', 'kr', 'in', 'pk', 'eg', 'sa', 'ae', 'qa', 'kw', 'jo', 'lb', 'ma', 'dz', 'tn', 'il', 'za',
+    'ng', 'ke'
+]);
+
+/**
+ * Characters allowed in the dot-separated parts of an unquoted local part
+ * (RFC 5322 atext, plus non-ASCII characters as RFC 6531 allows)
+ */
+const EMAIL_ATOM = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~\u0080-\uFFFF-]+$/;
+
+/**
+ * Split an address into its parts, or return null when it isn't one
+ * Accepts quoted local parts ("john doe"@example.com) and internationalized
+ * domains, which come back in `asciiDomain` in punycode form.
+ */
+function parseEmailAddress(address) {
+    const at = address.lastIndexOf('@');
+    if (at < 1) return null;
+    
+    const local = address.slice(0, at);
+    const domain = address.slice(at + 1);
+    const isQuoted = /^"(?:[^"\\\r\n]|\\.)*"$/.test(local);
+    
+    if (!isQuoted && !local.split('.').every(atom => EMAIL_ATOM.test(atom))) return null;
+    if (new TextEncoder().encode(local).length > 64) return null;
+    
+    const asciiDomain = toASCIIDomain(domain);
+    if (!asciiDomain || local.length + 1 + asciiDomain.length > 254) return null;
+    
+    return { local: local, domain: domain, asciiDomain: asciiDomain };
+}
+
+/**
+ * A domain name in its ASCII (punycode) form, or null when it isn't a valid
+ * internet host name with at least two labels
+ */
+function toASCIIDomain(domain) {
+    // Characters the URL parser would read as something other than the host
+    if (domain === '' || /[\s/\\?#@:%[\]]/.test(domain)) return null;
+    
+    let ascii;
+    try {
+        ascii = new URL('http://' + domain).hostname;
+    } catch (e) {
+        return null;
+    }
+    
+    const labels = ascii.split('.');
+    const topLevel = labels[labels.length - 1];
+    const isValid = ascii.length <= 253 && labels.length >= 2 &&
+        labels.every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label)) &&
+        /^(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/.test(topLevel);
+    return isValid ? ascii : null;
+}
+
+/**
+ * Number of single-character edits (insert, delete, replace or swap two
+ * neighbours) that turn one string into the other
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Split a domain into its name and the rest (gmail.com, yahoo.co.uk)
+ */
+function splitEmailDomain(domain) {
+    const dot = domain.indexOf('.');
+    return dot < 0 ? { name: domain, suffix: '' } : { name: domain.slice(0, dot), suffix: domain.slice(dot + 1) };
+}
+
+/**
+ * The address with its domain replaced by the closest of `domains`, when
+ * the domain looks like a typo of one (gmial.con for gmail.com); else null
+ * The name and the suffix are compared separately, and a suffix that ends in
+ * a real TLD is never swapped for another.
+ */
+function suggestEmail(address, domains = EMAIL_SUGGESTION_DOMAINS) {
+    const at = address.lastIndexOf('@');
+    if (at < 1) return null;
+    
+    const domain = address.slice(at + 1).toLowerCase();
+    if (domain === '' || domains.includes(domain)) return null;
+    
+    const { name, suffix } = splitEmailDomain(domain);
+    const isRealSuffix = EMAIL_KNOWN_TLDS.has(suffix.slice(suffix.lastIndexOf('.') + 1));
+    
+    // Short names are only a typo away from too many real ones
+    const maxNameDistance = name.length < 6 ? 1 : 2;
+    let best = null;
+    let bestDistance = 3;
+    
+    domains.forEach(candidate => {
+        // A domain without a dot (gmailcom) is compared whole
+        const target = suffix === '' ? { name: candidate.replace(/\./g, ''), suffix: '' } : splitEmailDomain(candidate);
+        const nameDistance = editDistance(name, target.name);
+        const suffixDistance = suffix === target.suffix ? 0 : editDistance(suffix, target.suffix);
+        if (nameDistance > maxNameDistance) return;
+        if (suffixDistance > 0 && (isRealSuffix || suffixDistance > 1)) return;
+        
+        const distance = nameDistance + suffixDistance;
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best ? address.slice(0, at + 1) + best : null;
+}
+
+/**
+ * Build the validation rules for a field from its HTML attributes
+ * (required, minlength, maxlength, pattern, min, max, type) and data-* extras
+ * (data-remote, data-mask, data-strength-min, data-require, data-type="number",
+ * data-message, data-message-<constraint>, data-report, data-checklist and the
+ * cross-field rules such as data-match)
+ * Messages may be literal text or keys in the message catalogs.
+ */
+function buildValidationRules(field) {
+    const rules = { required: field.required };
+    
+    const minLength = parseInt(field.getAttribute('minlength'), 10);
+    if (!isNaN(minLength)) rules.minLength = minLength;
+    
+    const maxLength = parseInt(field.getAttribute('maxlength'), 10);
+    if (!isNaN(maxLength)) rules.maxLength = maxLength;
+    
+    // Like the native attribute, the pattern has to match the whole value
+    const pattern = field.getAttribute('pattern');
+    if (pattern) {
+        try {
+            rules.pattern = new RegExp('^(?:' + pattern + ')$');
+        } catch (e) {
+            console.warn(`Ignoring invalid pattern on "${field.name}":`, pattern);
+        }
+    } else if (TYPE_PATTERNS[field.type]) {
+        rules.pattern = TYPE_PATTERNS[field.type];
+    }
+    
+    // Text inputs with data-type="number" accept numbers in the page's locale
+    rules.numeric = field.type === 'number' || field.dataset.type === 'number';
+    
+    const min = parseFloat(field.getAttribute('min'));
+    if (!isNaN(min)) rules.min = min;
+    
+    const max = parseFloat(field.getAttribute('max'));
+    if (!isNaN(max)) rules.max = max;
+    
+    // Rules that depend on other fields (see CROSS_FIELD_RULES)
+    rules.crossField = [];
+    CROSS_FIELD_RULES.forEach((rule, name) => {
+        if (field.dataset[name]) {
+            rules.crossField.push({ name: name, settings: rule.parse(field.dataset[name]) });
+        }
+    });
+    
+    if (field.dataset.remote) rules.remote = field.dataset.remote;
+    
+    if (field.dataset.mask) rules.mask = getInputMask(field.dataset.mask);
+    
+    if (field.type === 'email') {
+        rules.email = true;
+        rules.suggestDomains = field.dataset.suggestDomains !== undefined
+            ? parseFieldList(field.dataset.suggestDomains).fields
+            : EMAIL_SUGGESTION_DOMAINS;
+    }
+    
+    const minStrength = parseInt(field.dataset.strengthMin, 10);
+    if (!isNaN(minStrength)) rules.minStrength = minStrength;
+    
+    rules.requirements = parseFieldList(field.dataset.require || '').fields.filter(name => {
+        if (CHARACTER_REQUIREMENTS[name]) return true;
+        console.warn(`Ignoring unknown requirement on "${field.name}":`, name);
+        return false;
+    });
+    
+    // Resolved at validation time so they follow the current locale.
+    // data-message-minlength, data-message-required-if, ... are keyed by the
+    // constraint's name in lower case, so either spelling of it works
+    rules.message = field.dataset.message || null;
+    rules.messages = {};
+    Object.keys(field.dataset)
+        .filter(key => key.startsWith('message') && key !== 'message')
+        .forEach(key => { rules.messages[key.slice('message'.length).toLowerCase()] = field.dataset[key]; });
+    
+    // data-report="all" lists every failing constraint instead of the first
+    rules.reportAll = field.dataset.report === 'all';
+    rules.checklist = field.dataset.checklist !== undefined;
+    
+    return rules;
+}
+
+/**
+ * Get user-friendly field label for error messages
+ * Uses data-label (text or catalog key) if present, otherwise the text of the
+ * field's <label> without the required marker or a "(Optional)" style hint
+ */
+function getFieldLabel(field) {
+    if (field.dataset.label) return translateOrLiteral(field.dataset.label);
+    
+    const label = field.labels && field.labels[0];
+    if (label) {
+        return label.textContent.replace(/\*|\([^)]*\)/g, '').trim();
+    }
+    return field.name;
+}
+
+/**
+ * Translate text that may be either a catalog key or literal text
+ */
+function translateOrLiteral(text, params) {
+    return hasTranslation(text) ? t(text, params) : text;
+}
+
+/**
+ * Read a number from a field, in the page's locale for text inputs
+ */
+function parseFieldNumber(field, value) {
+    return field.type === 'number' ? parseFloat(value) : parseLocaleNumber(value);
+}
+
+/**
+ * Read the current value of a field (checkboxes and radio groups
+ * report an empty string when nothing is checked)
+ */
+function getFieldValue(field) {
+    if (field.type === 'checkbox') {
+        return field.checked ? field.value : '';
+    }
+    if (field.type === 'radio') {
+        const checked = Array.from(field.form.elements)
+            .find(element => element.name === field.name && element.checked);
+        return checked ? checked.value : '';
+    }
+    return field.value;
+}
+
+// -----------------------------------------------------------------------------
+// Password strength estimation
+// -----------------------------------------------------------------------------
+
+/**
+ * Strength levels, indexed by score (0-4)
+ */
+const STRENGTH_LEVELS = [
+    { key: 'password.level.0', className: 'very-weak' },
+    { key: 'password.level.1', className: 'weak' },
+    { key: 'password.level.2', className: 'fair' },
+    { key: 'password.level.3', className: 'strong' },
+    { key: 'password.level.4', className: 'very-strong' }
+];
+
+/**
+ * Offline list of the most common passwords and password words
+ * (lowercase, most common first)
+ */
+const COMMON_PASSWORDS = [
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+    '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+    'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890',
+    'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx',
+    '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+    'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+    'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster',
+    '112233', 'george', 'computer', 'michelle', 'jessica', 'pepper', 'zxcvbn', '555555',
+    '11111111', '131313', 'freedom', '777777', 'pass', 'maggie', '159753', 'aaaaaa',
+    'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer', 'winter', 'spring',
+    'autumn', 'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access',
+    'yankees', '987654321', 'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'welcome',
+    'admin', 'administrator', 'login', 'secret', 'hello', 'qwerty123', 'football1',
+    'monkey1', 'dragon1', 'princess1', 'flower', 'cookie', 'purple', 'orange', 'banana',
+    'chocolate', 'diamond', 'silver', 'golden', 'hannah', 'lovely', 'angel', 'baby',
+    'whatever', 'internet', 'samsung', 'google', 'apple', 'changeme', 'default', 'guest',
+    'test', 'user', 'root', 'pussy', 'naruto', 'pokemon', 'minecraft', 'liverpool',
+    'arsenal', 'chelsea1', 'london', 'paris', 'america', 'blink182', 'qwe123', 'zaq12wsx'
+];
+
+/**
+ * Keyboard rows and other ordered runs that people type as "random" sequences
+ */
+const KEYBOARD_SEQUENCES = [
+    'qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', 'qazwsxedc', '1qaz2wsx3edc'
+];
+
+/**
+ * Common "l33t" substitutions, mapped back to the letters they stand for
+ */
+const LEET_SUBSTITUTIONS = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+/**
+ * Estimate how hard a password is to guess
+ * Starts from brute-force entropy (length x character set) and lowers the cost
+ * of every character that belongs to a guessable pattern: common passwords,
+ * words from `userInputs` (name, email...), repeats, sequences and years.
+ * Returns { score (0-4), level, entropy, warning, suggestions }
+ */
+function estimatePasswordStrength(password, userInputs = []) {
+    if (!password) {
+        return { score: 0, level: STRENGTH_LEVELS[0], entropy: 0, warning: '', suggestions: [] };
+    }
+    
+    let charsetSize = 0;
+    if (/[a-z]/.test(password)) charsetSize += 26;
+    if (/[A-Z]/.test(password)) charsetSize += 26;
+    if (/\d/.test(password)) charsetSize += 10;
+    if (/[^a-zA-Z\d]/.test(password)) charsetSize += 33;
+    const bitsPerChar = Math.log2(Math.max(charsetSize, 2));
+    
+    // Each character costs the cheapest way an attacker could guess it
+    const costs = new Array(password.length).fill(bitsPerChar);
+    const findings = findPasswordPatterns(password, userInputs, bitsPerChar);
+    findings.forEach(finding => {
+        const costPerChar = finding.bits / (finding.end - finding.start);
+        for (let i = finding.start; i < finding.end; i++) {
+            costs[i] = Math.min(costs[i], costPerChar);
+        }
+    });
+    
+    const entropy = costs.reduce((sum, cost) => sum + cost, 0);
+    let score = entropy < 28 ? 0 : entropy < 40 ? 1 : entropy < 60 ? 2 : entropy < 80 ? 3 : 4;
+    
+    // An exact common password is weak no matter what
+    const isCommon = findings.some(finding => finding.type === 'common' && finding.exact);
+    if (isCommon) score = 0;
+    
+    const feedback = getPasswordFeedback(password, findings, charsetSize, isCommon);
+    
+    return {
+        score: score,
+        level: STRENGTH_LEVELS[score],
+        entropy: Math.round(entropy),
+        warning: feedback.warning,
+        suggestions: score >= 3 ? [] : feedback.suggestions
+    };
+}
+
+/**
+ * Find the guessable parts of a password
+ * Each finding is { type, start, end, bits } plus type-specific details
+ */
+function findPasswordPatterns(password, userInputs, bitsPerChar) {
+    const findings = [];
+    const lower = password.toLowerCase();
+    const unleeted = lower.replace(/./g, char => LEET_SUBSTITUTIONS[char] || char);
+    
+    // Common passwords and personal words, also behind l33t substitutions
+    const dictionaries = [
+        { type: 'common', words: COMMON_PASSWORDS, bits: Math.log2(COMMON_PASSWORDS.length) },
+        { type: 'personal', words: userInputs, bits: 2 }
+    ];
+    dictionaries.forEach(dictionary => {
+        dictionary.words.forEach(word => {
+            if (word.length < 4 && !(dictionary.type === 'common' && word === lower)) return;
+            
+            [lower, unleeted].forEach(candidate => {
+                let start = candidate.indexOf(word);
+                while (start !== -1) {
+                    const end = start + word.length;
+                    const original = password.slice(start, end);
+                    const leet = original.toLowerCase() !== word;
+                    const capitalized = original !== original.toLowerCase();
+                    findings.push({
+                        type: dictionary.type,
+                        start: start,
+                        end: end,
+                        bits: dictionary.bits + (leet ? 1 : 0) + (capitalized ? 1 : 0),
+                        leet: leet,
+                        exact: start === 0 && end === password.length,
+                        word: word
+                    });
+                    start = candidate.indexOf(word, start + 1);
+                }
+            });
+        });
+    });
+    
+    // Repeated characters or chunks ("aaaa", "abcabc")
+    const repeatPattern = /(.+?)\1+/g;
+    let match;
+    while ((match = repeatPattern.exec(password)) !== null) {
+        if (match[0].length < 3) continue;
+        const base = match[1];
+        findings.push({
+            type: 'repeat',
+            start: match.index,
+            end: match.index + match[0].length,
+            bits: base.length * bitsPerChar + Math.log2(match[0].length / base.length)
+        });
+    }
+    
+    // Alphabetical / numerical runs ("abc", "987") and keyboard rows ("qwerty")
+    let runStart = 0;
+    for (let i = 1; i <= lower.length; i++) {
+        const step = i < lower.length ? lower.charCodeAt(i) - lower.charCodeAt(i - 1) : 0;
+        const previousStep = i > 1 ? lower.charCodeAt(i - 1) - lower.charCodeAt(i - 2) : step;
+        if (i === lower.length || Math.abs(step) !== 1 || step !== previousStep) {
+            if (i - runStart >= 3) {
+                findings.push({ type: 'sequence', start: runStart, end: i, bits: Math.log2(26 * 2 * (i - runStart)) });
+            }
+            runStart = Math.abs(step) === 1 ? i - 1 : i;
+        }
+    }
+    KEYBOARD_SEQUENCES.forEach(row => {
+        [row, row.split('').reverse().join('')].forEach(sequence => {
+            for (let length = sequence.length; length >= 4; length--) {
+                for (let offset = 0; offset + length <= sequence.length; offset++) {
+                    const part = sequence.slice(offset, offset + length);
+                    const start = lower.indexOf(part);
+                    if (start !== -1) {
+                        findings.push({ type: 'sequence', start: start, end: start + length, bits: Math.log2(KEYBOARD_SEQUENCES.length * 2 * length) });
+                    }
+                }
+            }
+        });
+    });
+    
+    // Years (1900-2099)
+    const yearPattern = /(19|20)\d\d/g;
+    while ((match = yearPattern.exec(password)) !== null) {
+        findings.push({ type: 'year', start: match.index, end: match.index + 4, bits: Math.log2(200) });
+    }
+    
+    return findings;
+}
+
+/**
+ * Turn pattern findings into a warning and actionable suggestions
+ */
+function getPasswordFeedback(password, findings, charsetSize, isCommon) {
+    const has = type => findings.some(finding => finding.type === type);
+    const suggestions = [];
+    let warning = '';
+    
+    if (isCommon) {
+        warning = t('password.warning.common');
+    } else if (has('common')) {
+        const word = findings.find(finding => finding.type === 'common').word;
+        warning = t('password.warning.commonWord', { word });
+    } else if (has('personal')) {
+        warning = t('password.warning.personal');
+    } else if (has('repeat')) {
+        warning = t('password.warning.repeat');
+    } else if (has('sequence')) {
+        warning = t('password.warning.sequence');
+    }
+    
+    if (password.length < 12) {
+        suggestions.push(t('password.suggestion.length', { count: 12 }));
+    }
+    if (has('common') || has('personal')) {
+        suggestions.push(t('password.suggestion.words'));
+    }
+    if (findings.some(finding => finding.leet)) {
+        suggestions.push(t('password.suggestion.leet'));
+    }
+    if (has('repeat') || has('sequence')) {
+        suggestions.push(t('password.suggestion.patterns'));
+    }
+    if (has('year')) {
+        suggestions.push(t('password.suggestion.years'));
+    }
+    if (charsetSize <= 36) {
+        suggestions.push(t('password.suggestion.variety'));
+    }
+    
+    return { warning: warning, suggestions: suggestions };
+}
+
+/**
+ * Build the error message shown for a password below the required strength
+ */
+function describeWeakPassword(strength) {
+    let message = t('password.tooWeak', { level: t(strength.level.key) });
+    if (strength.warning) {
+        message += ' ' + strength.warning;
+    }
+    if (strength.suggestions.length > 0) {
+        message += ' ' + strength.suggestions.join(' ');
+    }
+    return message;
+}
+
+/**
+ * Update the strength meter (#<field>Strength) and success text of a field
+ */
+function updateStrengthMeter(field, strength) {
+    const meter = document.getElementById(field.name + 'Strength');
+    if (!meter) return;
+    
+    const value = getFieldValue(field);
+    meter.hidden = value === '';
+    meter.dataset.level = strength.level.className;
+    meter.setAttribute('aria-valuenow', String(strength.score));
+    meter.setAttribute('aria-valuetext', t(strength.level.key));
+    
+    const label = meter.querySelector('.strength-label');
+    if (label) {
+        label.textContent = t('password.strength', { level: t(strength.level.key) });
+    }
+    
+    const successElement = document.getElementById(field.name + 'Success');
+    if (successElement) {
+        successElement.textContent = t('password.success', { level: t(strength.level.key) });
+    }
+}
+
+/**
+ * Resolve with an IndexedDB request's result, reject with its error
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const SUBMISSIONS_STORE = 'entries';
+
+/**
+ * Local log of successful submissions, kept in IndexedDB
+ * Entries are { id, form, submittedAt, data } where `form` is the form's id
+ * and `data` the submitted values. Where IndexedDB isn't available (or
+ * can't be opened) entries are kept in memory for the visit instead.
+ * Subscribers are called with the form id whenever its entries change.
+ */
+class SubmissionLog {
+    constructor(databaseName = 'formSubmissions') {
+        this.databaseName = databaseName;
+        this.ready = null;
+        this.memory = [];
+        this.nextId = 1;
+        this.subscribers = [];
+    }
+
+    /**
+     * Open the database once; resolves with null when falling back to memory
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(SUBMISSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('form', 'form');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Submissions are kept in memory only:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.ready;
+    }
+
+    store(database, mode) {
+        return database.transaction(SUBMISSIONS_STORE, mode).objectStore(SUBMISSIONS_STORE);
+    }
+
+    /**
+     * Append a submission; resolves with the stored entry
+     */
+    async add(form, data, submittedAt = Date.now()) {
+        const entry = { form, submittedAt, data };
+        const database = await this.open();
+        
+        if (database) {
+            entry.id = await promisifyRequest(this.store(database, 'readwrite').add(entry));
+        } else {
+            entry.id = this.nextId++;
+            this.memory.push(entry);
+        }
+        this.notify(form);
+        return entry;
+    }
+
+    /**
+     * Put back an entry that was deleted, under its old id
+     */
+    async restore(entry) {
+        const database = await this.open();
+        
+        if (database) {
+            await promisifyRequest(this.store(database, 'readwrite').put(entry));
+        } else {
+            this.memory.push(entry);
+        }
+        this.notify(entry.form);
+    }
+
+    /**
+     * A form's entries, newest first
+     */
+    async getAll(form) {
+        const database = await this.open();
+        const entries = database
+            ? await promisifyRequest(this.store(database, 'readonly').index('form').getAll(form))
+            : this.memory.filter(entry => entry.form === form);
+        
+        return entries.sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    async delete(entry) {
+        const database = await this.open();
+        
+        if (database) {
+            await promisifyRequest(this.store(database, 'readwrite').delete(entry.id));
+        } else {
+            this.memory = this.memory.filter(item => item.id !== entry.id);
+        }
+        this.notify(entry.form);
+    }
+
+    /**
+     * Delete every entry of a form
+     */
+    async clear(form) {
+        const entries = await this.getAll(form);
+        const database = await this.open();
+        
+        if (database) {
+            const store = this.store(database, 'readwrite');
+            await Promise.all(entries.map(entry => promisifyRequest(store.delete(entry.id))));
+        } else {
+            this.memory = this.memory.filter(entry => entry.form !== form);
+        }
+        this.notify(form);
+    }
+
+    /**
+     * Add entries from an export (see parseSubmissionsExport), skipping ones
+     * that are already in the log; resolves with how many were added
+     */
+    async import(form, entries) {
+        const existing = new Set((await this.getAll(form)).map(entry => entry.submittedAt + JSON.stringify(entry.data)));
+        const added = entries.filter(entry => !existing.has(entry.submittedAt + JSON.stringify(entry.data)));
+        const database = await this.open();
+        
+        if (database) {
+            const store = this.store(database, 'readwrite');
+            await Promise.all(added.map(entry => promisifyRequest(store.add({ form, submittedAt: entry.submittedAt, data: entry.data }))));
+        } else {
+            added.forEach(entry => {
+                this.memory.push({ id: this.nextId++, form, submittedAt: entry.submittedAt, data: entry.data });
+            });
+        }
+        
+        if (added.length > 0) this.notify(form);
+        return added.length;
+    }
+
+    /**
+     * Call a function whenever entries change; returns a function that unsubscribes
+     */
+    subscribe(subscriber) {
+        this.subscribers.push(subscriber);
+        return () => {
+            this.subscribers = this.subscribers.filter(item => item !== subscriber);
+        };
+    }
+
+    notify(form) {
+        this.subscribers.forEach(subscriber => subscriber(form));
+    }
+}
+
+const submissionLog = new SubmissionLog();
+
+// Expose the submissions log for other scripts on the page
+window.SubmissionLog = SubmissionLog;
+window.submissionLog = submissionLog;
+
+/**
+ * Read exported submissions back: the JSON export ({ submissions: [...] })
+ * or a plain array of entries. Values become strings; a missing or
+ * unreadable date becomes "now". Throws a TypeError for anything else.
+ */
+function parseSubmissionsExport(json) {
+    const entries = Array.isArray(json) ? json : json && json.submissions;
+    if (!Array.isArray(entries)) {
+        throw new TypeError('Not a submissions export');
+    }
+    
+    return entries.map(entry => {
+        if (!entry || typeof entry.data !== 'object' || entry.data === null || Array.isArray(entry.data)) {
+            throw new TypeError('Submission without data');
+        }
+        
+        const data = {};
+        Object.keys(entry.data).forEach(name => {
+            data[name] = entry.data[name] == null ? '' : String(entry.data[name]);
+        });
+        
+        const submittedAt = typeof entry.submittedAt === 'number' ? entry.submittedAt : Date.parse(entry.submittedAt);
+        return { submittedAt: isNaN(submittedAt) ? Date.now() : submittedAt, data };
+    });
+}
+
+/**
+ * Entries as CSV: a submittedAt column (ISO date) and one column per field
+ * in `fieldNames` order, then any other fields found in the entries
+ */
+function submissionsToCSV(entries, fieldNames = []) {
+    const columns = fieldNames.slice();
+    entries.forEach(entry => {
+        Object.keys(entry.data).forEach(name => {
+            if (!columns.includes(name)) columns.push(name);
+        });
+    });
+    
+    const rows = [['submittedAt'].concat(columns)];
+    entries.forEach(entry => {
+        rows.push([new Date(entry.submittedAt).toISOString()].concat(columns.map(name => entry.data[name] || '')));
+    });
+    return rows.map(row => row.map(formatCSVCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV cell when needed; cells that spreadsheets would read as a
+ * formula get a leading apostrophe, except plain numbers such as E.164
+ * phone numbers (+12015550123) or -5
+ */
+function formatCSVCell(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Set up the submissions panel for the form named in its data-form
+ * Lists, searches, deletes and re-opens logged submissions, and exports
+ * or imports them. Exports contain the submissions currently listed.
+ */
+function initializeSubmissionsPanel() {
+    const panel = document.getElementById('submissionsPanel');
+    if (!panel) return;
+    
+    const form = document.getElementById(panel.dataset.form);
+    const validator = form && FormValidator.getInstance(form);
+    if (!validator) return;
+    
+    const logName = form.id;
+    const list = document.getElementById('submissionsList');
+    const status = document.getElementById('submissionsStatus');
+    const searchInput = document.getElementById('submissionsSearch');
+    const importInput = document.getElementById('importSubmissions');
+    let listed = [];
+    
+    function matchesSearch(entry, query) {
+        return Object.keys(entry.data).some(name => entry.data[name].toLowerCase().includes(query));
+    }
+    
+    async function render() {
+        const entries = await submissionLog.getAll(logName);
+        const query = searchInput.value.trim().toLowerCase();
+        listed = query ? entries.filter(entry => matchesSearch(entry, query)) : entries;
+        list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            setTranslatedText(status, 'submissions.empty');
+        } else if (query) {
+            setTranslatedText(status, listed.length > 0 ? 'submissions.matches' : 'submissions.noMatches', { count: listed.length });
+        } else {
+            setTranslatedText(status, 'submissions.count', { count: entries.length });
+        }
+        
+        listed.forEach(entry => list.appendChild(renderEntry(entry)));
+    }
+    
+    function renderEntry(entry) {
+        const item = document.createElement('li');
+        
+        const summary = document.createElement('span');
+        summary.className = 'submission-summary';
+        summary.textContent = Object.keys(entry.data)
+            .map(name => entry.data[name])
+            .filter(value => value.trim() !== '')
+            .slice(0, 2)
+            .join(' · ');
+        
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.submittedAt).toISOString();
+        setTranslatedText(time, 'submissions.submittedAt', { submittedAt: entry.submittedAt });
+        
+        const openButton = document.createElement('button');
+        openButton.type = 'button';
+        openButton.className = 'btn success';
+        setTranslatedText(openButton, 'submissions.open');
+        openButton.addEventListener('click', () => openEntry(entry));
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'btn danger';
+        setTranslatedText(deleteButton, 'submissions.delete');
+        deleteButton.addEventListener('click', () => deleteEntry(entry));
+        
+        item.append(summary, time, openButton, deleteButton);
+        return item;
+    }
+    
+    function openEntry(entry) {
+        // Fields missing from the entry are cleared rather than left as they were
+        const values = {};
+        validator.getLogFields().forEach(fieldName => {
+            values[fieldName] = fieldName in entry.data ? entry.data[fieldName] : '';
+        });
+        
+        const names = validator.setValues(values);
+        if (names.length > 0) {
+            validator.focusField(names[0]);
+        }
+        showNotification(t('submissions.opened'), { type: 'info' });
+    }
+    
+    async function deleteEntry(entry) {
+        await submissionLog.delete(entry);
+        showNotification(t('submissions.deleted'), {
+            type: 'info',
+            actions: [{ label: t('submissions.undo'), onClick: () => submissionLog.restore(entry) }]
+        });
+    }
+    
+    function exportFileName(extension) {
+        return `${logName}-submissions-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+    
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        downloadFile(exportFileName('csv'), submissionsToCSV(listed, validator.getLogFields()), 'text/csv');
+    });
+    
+    document.getElementById('exportJsonBtn').addEventListener('click', () => {
+        const json = {
+            form: logName,
+            exportedAt: new Date().toISOString(),
+            submissions: listed.map(entry => ({
+                id: entry.id,
+                submittedAt: new Date(entry.submittedAt).toISOString(),
+                data: entry.data
+            }))
+        };
+        downloadFile(exportFileName('json'), JSON.stringify(json, null, 2), 'application/json');
+    });
+    
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        
+        try {
+            const entries = parseSubmissionsExport(JSON.parse(await file.text()));
+            const count = await submissionLog.import(logName, entries);
+            showNotification(count > 0 ? t('submissions.imported', { count }) : t('submissions.importedNone'), { type: 'success' });
+        } catch (error) {
+            console.error('Could not import submissions:', error);
+            showNotification(t('submissions.importError'), { type: 'error' });
+        }
+    });
+    
+    document.getElementById('clearSubmissionsBtn').addEventListener('click', async () => {
+        if (!confirm(t('submissions.confirmClear'))) return;
+        
+        await submissionLog.clear(logName);
+        showNotification(t('submissions.cleared'), { type: 'info' });
+    });
+    
+    searchInput.addEventListener('input', debounce(render, 200));
+    submissionLog.subscribe(changedForm => {
+        if (changedForm === logName) render();
+    });
+    render();
+}
+
+/**
+ * Debounce function to limit how often a handler runs
+ */
+function debounce(func, wait) {
+    let timeout;
+    const executedFunction = function(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+    // Drop a call that is still waiting
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
+}
+
+/**
+ * Error raised when a form submission does not succeed
+ * `code` is 'timeout', 'network' or 'status', `status` the HTTP status
+ * (0 for network errors and timeouts) and `data` the parsed response body
+ */
+class SubmissionError extends Error {
+    constructor(message, code, status, data) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Read the submission settings of a form from its markup
+ *   action / method      - where and how to send
+ *   data-encoding        - json (default), urlencoded or multipart;
+ *                          a multipart/urlencoded enctype is honoured too
+ *   data-timeout         - milliseconds per attempt (default 10000)
+ *   data-retries         - extra attempts after a network error, timeout or 5xx (default 2)
+ */
+function getTransportOptions(form) {
+    const enctype = form.getAttribute('enctype');
+    let encoding = form.dataset.encoding;
+    if (!encoding) {
+        if (enctype === 'multipart/form-data') encoding = 'multipart';
+        else if (enctype === 'application/x-www-form-urlencoded') encoding = 'urlencoded';
+        else encoding = 'json';
+    }
+    
+    const timeout = parseInt(form.dataset.timeout, 10);
+    const retries = parseInt(form.dataset.retries, 10);
+    
+    return {
+        url: form.getAttribute('action'),
+        method: (form.getAttribute('method') || 'post').toUpperCase(),
+        encoding: encoding,
+        timeout: isNaN(timeout) ? 10000 : timeout,
+        retries: isNaN(retries) ? 2 : retries,
+        retryDelay: 1000
+    };
+}
+
+/**
+ * Encode form data as a fetch() body for the given encoding
+ */
+function encodeFormData(formData, encoding) {
+    switch (encoding) {
+        case 'json':
+            return {
+                body: JSON.stringify(formData),
+                headers: { 'Content-Type': 'application/json' }
+            };
+            
+        case 'urlencoded':
+            // fetch() sets the urlencoded Content-Type for URLSearchParams
+            return { body: new URLSearchParams(formData), headers: {} };
+            
+        case 'multipart': {
+            // ...and the multipart boundary for FormData
+            const body = new FormData();
+            Object.keys(formData).forEach(key => body.append(key, formData[key]));
+            return { body: body, headers: {} };
+        }
+            
+        default:
+            throw new Error(`Unknown form encoding: ${encoding}`);
+    }
+}
+
+/**
+ * Send form data to the server
+ * Each attempt is aborted after `timeout` ms; network errors, timeouts and
+ * 5xx responses are retried up to `retries` times with a growing delay.
+ * Resolves with { status, data } or rejects with a SubmissionError.
+ */
+async function sendFormData(formData, options) {
+    const { body, headers } = encodeFormData(formData, options.encoding);
+    headers['Accept'] = 'application/json';
+    
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), options.timeout);
+        let error;
+        
+        try {
+            const response = await fetch(options.url, {
+                method: options.method,
+                headers: headers,
+                body: body,
+                signal: controller.signal
+            });
+            const data = await readResponseBody(response);
+            
+            if (response.ok) {
+                return { status: response.status, data: data };
+            }
+            error = new SubmissionError(`Server responded with status ${response.status}`, 'status', response.status, data);
+        } catch (e) {
+            error = controller.signal.aborted
+                ? new SubmissionError('The server took too long to respond', 'timeout', 0, null)
+                : new SubmissionError('Could not reach the server', 'network', 0, null);
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        // Client errors (including 422 validation errors) will not change on retry
+        const canRetry = error.status === 0 || error.status >= 500;
+        if (!canRetry || attempt >= options.retries) {
+            throw error;
+        }
+        
+        if (options.onRetry) {
+            options.onRetry(attempt + 1, options.retries, error);
+        }
+        await new Promise(resolve => setTimeout(resolve, options.retryDelay * Math.pow(2, attempt)));
+    }
+}
+
+/**
+ * Parse a response body as JSON when it says it is JSON
+ */
+async function readResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('application/json')) {
+        return null;
+    }
+    try {
+        return await response.json();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalize server-side field errors from a 422 response
+ * Accepts { errors: { field: "message" | ["message", ...] } }
+ * or { errors: [{ field, message }, ...] }
+ */
+function getServerFieldErrors(data) {
+    const errors = data && data.errors;
+    if (!errors) return [];
+    
+    if (Array.isArray(errors)) {
+        return errors.filter(error => error && error.field);
+    }
+    return Object.keys(errors).map(field => ({
+        field: field,
+        message: Array.isArray(errors[field]) ? errors[field][0] : errors[field]
+    }));
+}
+
+/**
+ * Show or hide the "Checking…" status shown while async rules run
+ * (created on first use, just above the field's error message)
+ */
+function togglePendingMessage(field, show) {
+    const id = field.name + 'Pending';
+    let pendingElement = document.getElementById(id);
+    
+    if (!pendingElement) {
+        if (!show) return;
+        
+        pendingElement = document.createElement('div');
+        pendingElement.className = 'pending-message';
+        pendingElement.id = id;
+        setTranslatedText(pendingElement, 'validation.checking');
+        
+        const errorElement = document.getElementById(field.name + 'Error');
+        if (errorElement) {
+            errorElement.parentNode.insertBefore(pendingElement, errorElement);
+        } else {
+            field.parentNode.insertBefore(pendingElement, field.nextSibling);
+        }
+    }
+    pendingElement.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Id suffixes of the message elements that belong to a field
+ */
+const FIELD_MESSAGE_SUFFIXES = ['Error', 'Success', 'Pending', 'Suggestion'];
+
+/**
+ * Point a field's aria-describedby at the messages currently shown for it
+ * Ids listed in the markup itself (hints and the like) are kept
+ */
+function setFieldDescription(field, suffixes) {
+    const messageIds = FIELD_MESSAGE_SUFFIXES.map(suffix => field.name + suffix);
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+        .filter(id => id !== '' && !messageIds.includes(id));
+    
+    suffixes.forEach(suffix => {
+        if (document.getElementById(field.name + suffix)) {
+            ids.push(field.name + suffix);
+        }
+    });
+    
+    if (ids.length > 0) {
+        field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+        field.removeAttribute('aria-describedby');
+    }
+}
+
+/**
+ * Visually hidden live region that screen readers announce changes from
+ */
+function createLiveRegion(form) {
+    const region = document.createElement('div');
+    region.className = 'visually-hidden';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    form.appendChild(region);
+    return region;
+}
+
+/**
+ * A failed validation result from functions that each build one of its
+ * messages in the current locale; they are kept so the messages can be
+ * rebuilt after a locale switch
+ * Several messages are joined into `message` and also listed in `messages`.
+ */
+function failedResult(describers) {
+    const messages = describers.map(describe => describe());
+    return {
+        isValid: false,
+        message: new Intl.ListFormat(currentLocale, { type: 'unit' }).format(messages),
+        messages: messages,
+        describers: describers
+    };
+}
+
+/**
+ * What validateField() resolves to when its async check was cancelled
+ * before it finished; it is never shown or recorded
+ */
+const STALE_RESULT = Object.freeze({ isValid: true, stale: true });
+
+/**
+ * Reusable form validator
+ * Validates a form in real time and on submit, and reports what happens
+ * through CustomEvents dispatched on the form element:
+ *   validator:fieldpending (detail: { field }) - an async rule is running
+ *   validator:fieldvalid / validator:fieldinvalid  (detail: { field, message })
+ *   validator:fieldfocus   (detail: { field }) - focus is about to move to a field
+ *   validator:submit   (detail: { formData }) - cancelable, skips the default success handling
+ *   validator:invalid  (detail: { errors })   - cancelable, skips the default failure handling
+ *   validator:submitted   (detail: { formData, response }) - the server accepted the data
+ *   validator:submiterror (detail: { formData, error })    - sending failed or the server refused it
+ *   validator:reset
+ *   validator:draftrestored (detail: { values })
+ *   validator:stepchange (detail: { step, total }) - wizard forms only
+ *
+ * Forms with an `action` attribute are sent to the server (see
+ * getTransportOptions); `options.transport` overrides the markup settings.
+ * Forms with `data-autosave="<minutes>"` keep a draft of what has been typed
+ * (password fields and fields marked `data-draft="off"` excepted) and offer
+ * to restore it on the next visit until it expires. Forms with `data-log`
+ * add each successful submission to the local submissions log, leaving out
+ * the same kind of fields (marked `data-log="off"`).
+ *
+ * Fields get aria-invalid and aria-describedby pointing at their visible
+ * messages, changes are announced through a polite live region, and a failed
+ * submit lists every problem in an error summary at the top of the form.
+ */
+class FormValidator {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.transport = Object.assign(getTransportOptions(form), options.transport);
+        this.fields = getValidatableFields(form);
+        this.errors = {};
+        this.listeners = [];
+        this.debounced = [];
+        this.pending = {};
+        this.results = {};
+        this.submitting = false;
+        this.announcements = [];
+        this.errorSummary = null;
+        this.liveRegion = createLiveRegion(form);
+
+        // Validation rules, built once from each field's markup
+        this.validationRules = {};
+        this.customRules = {};
+        Object.keys(this.fields).forEach(fieldName => {
+            this.validationRules[fieldName] = buildValidationRules(this.fields[fieldName]);
+            this.customRules[fieldName] = [];
+            
+            if (this.validationRules[fieldName].remote) {
+                this.addRule(fieldName, createRemoteRule(this.validationRules[fieldName].remote));
+            }
+        });
+
+        // Fields to check again when another one changes, keyed by that field
+        this.dependents = {};
+        Object.keys(this.fields).forEach(fieldName => {
+            this.validationRules[fieldName].crossField.forEach(({ settings }) => {
+                settings.fields.forEach(otherName => this.addDependency(fieldName, otherName));
+            });
+        });
+
+        // As-you-type formatting (data-mask), set up before the validation listeners
+        this.masks = {};
+        Object.keys(this.fields).forEach(fieldName => {
+            const mask = this.validationRules[fieldName].mask;
+            if (!mask) return;
+            
+            this.masks[fieldName] = new InputMask(this.fields[fieldName], mask);
+            this.masks[fieldName].dependsOn().forEach(otherName => this.addDependency(fieldName, otherName));
+        });
+
+        // Lists of a field's requirements that tick off as they are met (data-checklist)
+        Object.keys(this.fields)
+            .filter(fieldName => this.validationRules[fieldName].checklist)
+            .forEach(fieldName => this.createChecklist(fieldName));
+
+        // Parts of the form shown only while a condition holds (data-show-if)
+        this.conditionalSections = Array.from(form.querySelectorAll('[data-show-if]')).map(element => ({
+            element: element,
+            condition: parseFieldCondition(element.dataset.showIf)
+        }));
+        this.hiddenResults = {};
+
+        this.attachFieldListeners();
+        this.listen(form, 'submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        // Messages are built at validation time, so rebuild them in the new language
+        this.listen(document, 'localechange', () => this.refreshMessages());
+
+        this.listen(form, 'input', () => this.updateConditions());
+        this.listen(form, 'change', () => this.updateConditions());
+        this.updateConditions();
+
+        if (form.hasAttribute('data-autosave')) {
+            this.setupAutosave();
+        }
+
+        FormValidator.instances.set(form, this);
+    }
+
+    /**
+     * Save drafts while the user types and offer to restore an earlier one
+     */
+    setupAutosave() {
+        const minutes = parseInt(this.form.dataset.autosave, 10);
+        this.draftKey = 'draft:' + (this.form.id || window.location.pathname);
+        this.draftLifetime = (isNaN(minutes) ? 24 * 60 : minutes) * 60 * 1000;
+        
+        this.listen(this.form, 'input', this.debounce(() => this.saveDraft(), 500));
+        this.listen(this.form, 'change', () => this.saveDraft());
+        
+        const draft = readStorage(this.draftKey);
+        if (!draft) return;
+        
+        if (Date.now() - draft.savedAt > this.draftLifetime) {
+            removeStorage(this.draftKey);
+        } else {
+            this.showDraftPrompt(draft);
+        }
+    }
+
+    /**
+     * Names of the fields that may be written to a draft
+     */
+    getDraftFields() {
+        return Object.keys(this.fields).filter(fieldName => {
+            const field = this.fields[fieldName];
+            return field.type !== 'password' && field.dataset.draft !== 'off';
+        });
+    }
+
+    /**
+     * Store the current non-sensitive values, or drop the draft when all are empty
+     */
+    saveDraft() {
+        if (!this.draftKey) return;
+        
+        const values = {};
+        this.getDraftFields().forEach(fieldName => {
+            values[fieldName] = getFieldValue(this.fields[fieldName]);
+        });
+        
+        const hasContent = Object.keys(values).some(fieldName => values[fieldName].trim() !== '');
+        if (hasContent) {
+            writeStorage(this.draftKey, { savedAt: Date.now(), values: values });
+        } else {
+            removeStorage(this.draftKey);
+        }
+    }
+
+    /**
+     * Forget the saved draft (after a reset or a successful submission)
+     */
+    discardDraft() {
+        if (!this.draftKey) return;
+        removeStorage(this.draftKey);
+        this.removeDraftPrompt();
+    }
+
+    /**
+     * Ask whether to restore a saved draft
+     */
+    showDraftPrompt(draft) {
+        const prompt = document.createElement('div');
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'status');
+        
+        const text = document.createElement('span');
+        setTranslatedText(text, 'draft.found', { savedAt: draft.savedAt });
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'btn success';
+        setTranslatedText(restoreButton, 'draft.restore');
+        
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'btn danger';
+        setTranslatedText(discardButton, 'draft.discard');
+        
+        prompt.append(text, restoreButton, discardButton);
+        this.form.insertBefore(prompt, this.form.firstChild);
+        this.draftPrompt = prompt;
+        
+        restoreButton.addEventListener('click', () => {
+            this.restoreDraft(draft.values);
+            this.removeDraftPrompt();
+        });
+        
+        discardButton.addEventListener('click', () => {
+            removeStorage(this.draftKey);
+            this.removeDraftPrompt();
+        });
+    }
+
+    /**
+     * Remove the restore/discard prompt from the form
+     */
+    removeDraftPrompt() {
+        if (this.draftPrompt && this.draftPrompt.parentNode) {
+            this.draftPrompt.parentNode.removeChild(this.draftPrompt);
+        }
+        this.draftPrompt = null;
+    }
+
+    /**
+     * Put draft values back into the form and validate what was restored
+     */
+    restoreDraft(values) {
+        const draftValues = {};
+        this.getDraftFields()
+            .filter(fieldName => fieldName in values)
+            .forEach(fieldName => {
+                draftValues[fieldName] = values[fieldName];
+            });
+        
+        this.setValues(draftValues);
+        this.emit('draftrestored', { values });
+    }
+
+    /**
+     * Fill fields from a { name: value } map and validate the non-empty ones
+     * Returns the names of the fields that were set
+     */
+    setValues(values) {
+        const names = Object.keys(values).filter(fieldName => this.fields[fieldName]);
+        
+        names.forEach(fieldName => {
+            const field = this.fields[fieldName];
+            const value = String(values[fieldName]);
+            
+            if (field.type === 'checkbox') {
+                field.checked = value !== '';
+            } else if (field.type === 'radio') {
+                Array.from(this.form.elements).forEach(element => {
+                    if (element.name === fieldName) element.checked = element.value === value;
+                });
+            } else {
+                field.value = value;
+                if (this.masks[fieldName]) this.masks[fieldName].refresh();
+            }
+        });
+        
+        this.updateConditions();
+        names.forEach(fieldName => this.updateChecklist(fieldName));
+        names
+            .filter(fieldName => String(values[fieldName]).trim() !== '')
+            .forEach(fieldName => this.validateField(fieldName));
+        names.forEach(fieldName => this.validateDependents(fieldName));
+        
+        return names;
+    }
+
+    /**
+     * Names of the fields that are kept in the submissions log
+     */
+    getLogFields() {
+        return Object.keys(this.fields).filter(fieldName => {
+            const field = this.fields[fieldName];
+            return field.type !== 'password' && field.dataset.log !== 'off';
+        });
+    }
+
+    /**
+     * Add submitted data to the submissions log (forms with `data-log` only)
+     */
+    logSubmission(formData) {
+        if (!this.form.hasAttribute('data-log')) return;
+        
+        const data = {};
+        this.getLogFields()
+            .filter(fieldName => fieldName in formData)
+            .forEach(fieldName => {
+                data[fieldName] = formData[fieldName];
+            });
+        
+        submissionLog.add(this.form.id || window.location.pathname, data).catch(error => {
+            console.error('Could not log the submission:', error);
+        });
+    }
+
+    /**
+     * Get the validator attached to a form, if any
+     */
+    static getInstance(form) {
+        return FormValidator.instances.get(form);
+    }
+
+    /**
+     * Add an event listener that destroy() will remove again
+     */
+    listen(target, type, handler, capture = false) {
+        target.addEventListener(type, handler, capture);
+        this.listeners.push({ target, type, handler, capture });
+    }
+
+    /**
+     * A debounced function whose waiting call destroy() will cancel
+     */
+    debounce(func, wait) {
+        const debounced = debounce(func, wait);
+        this.debounced.push(debounced);
+        return debounced;
+    }
+
+    /**
+     * Dispatch a validator:* CustomEvent on the form
+     * Returns false if a listener called preventDefault()
+     */
+    emit(name, detail) {
+        return this.form.dispatchEvent(new CustomEvent('validator:' + name, {
+            bubbles: true,
+            cancelable: true,
+            detail: detail
+        }));
+    }
+
+    /**
+     * Set up real-time validation for all fields
+     */
+    attachFieldListeners() {
+        Object.keys(this.fields).forEach(fieldName => {
+            const field = this.fields[fieldName];
+            
+            // Real-time validation on input; a new keystroke makes any
+            // in-flight async check stale, so cancel it straight away
+            const debouncedValidation = this.debounce(() => {
+                this.validateField(fieldName);
+                this.validateDependents(fieldName);
+            }, 300);
+            this.listen(field, 'input', () => {
+                this.cancelPending(fieldName);
+                debouncedValidation();
+            });
+
+            // Immediate validation on blur (when user leaves field)
+            this.listen(field, 'blur', () => {
+                this.validateField(fieldName);
+                this.validateDependents(fieldName);
+            });
+
+            // Live requirements checklist, updated on every keystroke
+            if (this.validationRules[fieldName].checklist) {
+                this.listen(field, 'input', () => this.updateChecklist(fieldName));
+            }
+
+            // Live strength meter, updated on every keystroke
+            if (this.validationRules[fieldName].minStrength !== undefined) {
+                this.listen(field, 'input', () => {
+                    const strength = estimatePasswordStrength(getFieldValue(field), this.getUserInputs(fieldName));
+                    updateStrengthMeter(field, strength);
+                });
+            }
+
+            // Clear validation state on focus
+            this.listen(field, 'focus', () => {
+                if (field.classList.contains('error')) {
+                    field.classList.remove('error');
+                    const errorElement = document.getElementById(fieldName + 'Error');
+                    if (errorElement) {
+                        errorElement.style.display = 'none';
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Register an extra rule for a field
+     * `validate(value, field, validator, signal)` returns true when the value
+     * passes, or false / an error message string when it fails. It may also
+     * return a Promise of the same; `signal` is an AbortSignal that fires when
+     * the check becomes stale. A rule that reads other fields lists them in
+     * `dependsOn`, so the field is checked again when they change.
+     */
+    addRule(fieldName, rule) {
+        if (!this.fields[fieldName]) {
+            throw new Error(`FormValidator: unknown field "${fieldName}"`);
+        }
+        if (typeof rule === 'function') {
+            rule = { validate: rule };
+        }
+        this.customRules[fieldName].push(rule);
+        (rule.dependsOn || []).forEach(otherName => this.addDependency(fieldName, otherName));
+        return this;
+    }
+
+    /**
+     * Have a field checked again whenever another one changes
+     */
+    addDependency(fieldName, otherName) {
+        if (!this.fields[otherName]) {
+            console.warn(`FormValidator: "${fieldName}" depends on unknown field "${otherName}"`);
+            return;
+        }
+        
+        const dependents = this.dependents[otherName] || (this.dependents[otherName] = []);
+        if (!dependents.includes(fieldName)) {
+            dependents.push(fieldName);
+        }
+    }
+
+    /**
+     * Check again the fields whose rules read this one, where they have
+     * already been checked (so untouched fields don't light up)
+     */
+    validateDependents(fieldName) {
+        (this.dependents[fieldName] || []).forEach(dependent => {
+            if (this.results[dependent]) {
+                this.validateField(dependent);
+            }
+        });
+    }
+
+    /**
+     * Current value of a field by name ('' for unknown and hidden fields)
+     */
+    getValue(fieldName) {
+        const field = this.fields[fieldName];
+        return field && this.isFieldShown(fieldName) ? getFieldValue(field) : '';
+    }
+
+    /**
+     * Whether a field is outside every hidden data-show-if part of the form
+     */
+    isFieldShown(fieldName) {
+        return !this.fields[fieldName].closest('[data-show-if][hidden]');
+    }
+
+    /**
+     * Show or hide the data-show-if parts of the form and mark which fields
+     * are required right now; runs after every change to the form
+     */
+    updateConditions() {
+        this.conditionalSections.forEach(({ element, condition }) => {
+            const shown = isFieldConditionMet(condition, this);
+            if (element.hidden === !shown) return;
+            
+            element.hidden = !shown;
+            Object.keys(this.fields)
+                .filter(fieldName => element.contains(this.fields[fieldName]))
+                .forEach(fieldName => {
+                    if (shown) this.showField(fieldName);
+                    else this.hideField(fieldName);
+                });
+        });
+        
+        Object.keys(this.fields).forEach(fieldName => {
+            const isConditional = this.validationRules[fieldName].crossField
+                .some(({ name }) => CROSS_FIELD_RULES.get(name).required);
+            if (!isConditional) return;
+            
+            const field = this.fields[fieldName];
+            const required = this.requiredMessage(fieldName) !== null;
+            field.setAttribute('aria-required', String(required));
+            Array.from(field.labels || []).forEach(label => label.classList.toggle('required', required));
+        });
+    }
+
+    /**
+     * Take a field that was just hidden out of validation, remembering
+     * whether it had been checked
+     */
+    hideField(fieldName) {
+        this.cancelPending(fieldName);
+        if (this.results[fieldName]) {
+            this.hiddenResults[fieldName] = true;
+        }
+        delete this.results[fieldName];
+        delete this.errors[fieldName];
+        this.clearFieldUI(fieldName);
+        this.validateDependents(fieldName);
+        
+        if (this.errorSummary) {
+            this.renderErrorSummary(this.getErrors());
+        }
+    }
+
+    /**
+     * Check a field that is shown again if it had been checked before it was hidden
+     */
+    showField(fieldName) {
+        if (this.hiddenResults[fieldName]) {
+            delete this.hiddenResults[fieldName];
+            this.validateField(fieldName);
+        }
+        this.validateDependents(fieldName);
+    }
+
+    /**
+     * The message for leaving a field empty, or null while it may be empty
+     * (required attribute, or a cross-field rule such as data-required-if)
+     */
+    requiredMessage(fieldName) {
+        const rules = this.validationRules[fieldName];
+        if (rules.required) {
+            return translateOrLiteral(rules.messages.required || 'validation.required', {
+                label: getFieldLabel(this.fields[fieldName])
+            });
+        }
+        
+        for (const { name, settings } of rules.crossField) {
+            const rule = CROSS_FIELD_RULES.get(name);
+            if (rule.required && rule.required(settings, this)) {
+                return this.crossFieldMessage(fieldName, name, settings);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A cross-field rule's message, with {other} naming the fields it reads
+     */
+    crossFieldMessage(fieldName, name, settings) {
+        const rule = CROSS_FIELD_RULES.get(name);
+        const message = this.validationRules[fieldName].messages[name.toLowerCase()] || rule.message;
+        if (!message) return this.ruleMessage(fieldName, name);
+        
+        const labels = settings.fields
+            .filter(name => this.fields[name])
+            .map(name => getFieldLabel(this.fields[name]));
+        
+        return translateOrLiteral(message, {
+            label: getFieldLabel(this.fields[fieldName]),
+            other: new Intl.ListFormat(currentLocale, { type: 'disjunction' }).format(labels)
+        });
+    }
+
+    /**
+     * Check a value against a field's rules without touching the UI
+     * Returns a result, or a Promise of one when an async rule has to run
+     */
+    checkField(fieldName, value, signal) {
+        const rules = this.validationRules[fieldName];
+        if (!rules) return { isValid: true };
+
+        // Empty fields are valid unless they are required
+        if (!value || value.trim() === '') {
+            const message = this.requiredMessage(fieldName);
+            return message ? failedResult([() => this.requiredMessage(fieldName) || message]) : { isValid: true };
+        }
+
+        // Trim the value for further validation
+        value = value.trim();
+
+        // The field's own constraints; all of the failing ones with data-report="all"
+        const failures = this.checkConstraints(fieldName, value).filter(constraint => !constraint.met);
+        if (failures.length > 0) {
+            const reported = rules.reportAll ? failures : failures.slice(0, 1);
+            return failedResult(reported.map(constraint => constraint.describe));
+        }
+
+        // Rules added through addRule(); sync failures win over async checks
+        const asyncChecks = [];
+        for (const rule of this.customRules[fieldName]) {
+            const outcome = rule.validate(value, this.fields[fieldName], this, signal);
+            
+            if (outcome && typeof outcome.then === 'function') {
+                asyncChecks.push(outcome.then(asyncOutcome => this.ruleResult(asyncOutcome, rule, fieldName)));
+                continue;
+            }
+            
+            const result = this.ruleResult(outcome, rule, fieldName);
+            if (!result.isValid) return result;
+        }
+
+        if (asyncChecks.length > 0) {
+            return Promise.all(asyncChecks)
+                .then(results => results.find(result => !result.isValid) || { isValid: true });
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Check a (trimmed) value against each of the field's own constraints
+     * Returns them in order as { name, met, describe } - describe() builds the
+     * failure message in the current locale
+     */
+    checkConstraints(fieldName, value) {
+        const rules = this.validationRules[fieldName];
+        const constraints = [];
+        const add = (name, met, describe = () => this.ruleMessage(fieldName, name)) => {
+            constraints.push({ name: name, met: met, describe: describe });
+        };
+        // Rules that can word their own failure (masks, cross-field rules)
+        // are asked again when the message is built
+        const describeOutcome = (check, fallback) => () => {
+            const outcome = check();
+            return typeof outcome === 'string' ? translateOrLiteral(outcome) : fallback();
+        };
+
+        // Check the format of masked fields (data-mask)
+        if (this.masks[fieldName]) {
+            const mask = this.masks[fieldName];
+            add('mask', mask.validate(value) === true,
+                describeOutcome(() => mask.validate(value), () => this.ruleMessage(fieldName, 'mask')));
+        }
+
+        if (rules.minLength) add('minLength', value.length >= rules.minLength);
+        if (rules.maxLength) add('maxLength', value.length <= rules.maxLength);
+
+        // Check pattern (regex validation)
+        if (rules.pattern) add('pattern', rules.pattern.test(value));
+
+        // Character classes from data-require
+        rules.requirements.forEach(name => add(name, CHARACTER_REQUIREMENTS[name].test(value)));
+
+        // Check email addresses with the full parser
+        if (rules.email) add('email', parseEmailAddress(value) !== null);
+
+        // Check password strength (data-strength-min, score 0-4)
+        if (rules.minStrength !== undefined) {
+            const userInputs = this.getUserInputs(fieldName);
+            const strength = estimatePasswordStrength(value, userInputs);
+            add('strength', strength.score >= rules.minStrength, rules.messages.strength
+                ? undefined
+                : () => describeWeakPassword(estimatePasswordStrength(value, userInputs)));
+        }
+
+        // Check numeric range; min and max only apply to a number
+        if (rules.numeric || rules.min !== undefined || rules.max !== undefined) {
+            const numValue = parseFieldNumber(this.fields[fieldName], value);
+            add('number', !isNaN(numValue));
+            if (!isNaN(numValue)) {
+                if (rules.min !== undefined) add('min', numValue >= rules.min);
+                if (rules.max !== undefined) add('max', numValue <= rules.max);
+            }
+        }
+
+        // Check against other fields (data-match, data-before, ...)
+        for (const { name, settings } of rules.crossField) {
+            const rule = CROSS_FIELD_RULES.get(name);
+            if (!rule.validate) continue;
+            
+            const check = () => rule.validate(value, settings, this, fieldName);
+            add(name, check() === true,
+                describeOutcome(check, () => this.crossFieldMessage(fieldName, name, settings)));
+        }
+
+        return constraints;
+    }
+
+    /**
+     * Turn the return value of a custom rule into a validation result
+     */
+    ruleResult(outcome, rule, fieldName) {
+        if (outcome === true) return { isValid: true };
+        if (typeof outcome === 'string') return failedResult([() => translateOrLiteral(outcome)]);
+        return failedResult([() => rule.message ? translateOrLiteral(rule.message) : this.ruleMessage(fieldName)]);
+    }
+
+    /**
+     * The message for a failed constraint in the current locale, with the
+     * field's constraints ({label}, {minLength}, {maxLength}, {min}, {max},
+     * and {count} for the failing one) filled in
+     * Taken from data-message-<constraint>, then data-message, then the
+     * constraint's default (CONSTRAINT_MESSAGES), then validation.invalid.
+     */
+    ruleMessage(fieldName, constraint) {
+        const rules = this.validationRules[fieldName];
+        const key = (constraint && rules.messages[constraint.toLowerCase()]) ||
+            rules.message || CONSTRAINT_MESSAGES[constraint] || 'validation.invalid';
+        
+        return translateOrLiteral(key, {
+            label: getFieldLabel(this.fields[fieldName]),
+            minLength: rules.minLength,
+            maxLength: rules.maxLength,
+            min: rules.min,
+            max: rules.max,
+            count: typeof rules[constraint] === 'number' ? rules[constraint] : undefined
+        });
+    }
+
+    /**
+     * Rebuild the messages on show in the current locale after a locale
+     * switch, from the failures they were made from (nothing is validated
+     * again; messages that came from the server are left as they are)
+     */
+    refreshMessages() {
+        Object.keys(this.results).forEach(fieldName => {
+            const result = this.results[fieldName];
+            if (!result.isValid && result.describers) {
+                const refreshed = failedResult(result.describers);
+                this.results[fieldName] = refreshed;
+                this.errors[fieldName] = refreshed.message;
+                this.updateFieldUI(fieldName, refreshed);
+            }
+            if (this.validationRules[fieldName].email) {
+                this.updateEmailSuggestion(fieldName);
+            }
+        });
+        
+        if (this.errorSummary) {
+            this.renderErrorSummary(this.getErrors());
+        }
+        
+        Object.keys(this.fields).forEach(fieldName => {
+            const field = this.fields[fieldName];
+            this.updateChecklist(fieldName);
+            if (this.validationRules[fieldName].minStrength !== undefined && getFieldValue(field) !== '') {
+                updateStrengthMeter(field, estimatePasswordStrength(getFieldValue(field), this.getUserInputs(fieldName)));
+            }
+        });
+    }
+
+    /**
+     * Validate one field by name, update its UI and notify listeners
+     * Always returns a Promise of the result so sync and async rules look alike;
+     * it is STALE_RESULT when the check is cancelled (see whenValidated)
+     */
+    validateField(fieldName) {
+        const field = this.fields[fieldName];
+        if (!field || !this.isFieldShown(fieldName)) return Promise.resolve({ isValid: true });
+
+        this.cancelPending(fieldName);
+        const controller = new AbortController();
+        const outcome = this.checkField(fieldName, getFieldValue(field), controller.signal);
+
+        if (!(outcome instanceof Promise)) {
+            this.applyResult(fieldName, outcome);
+            return Promise.resolve(outcome);
+        }
+
+        this.updateFieldUI(fieldName, { isValid: true, pending: true });
+        this.emit('fieldpending', { field: fieldName });
+
+        const check = outcome
+            .catch(error => {
+                if (controller.signal.aborted) return null;
+                console.error(`Async validation of "${fieldName}" failed:`, error);
+                return failedResult([() => t('validation.verifyFailed', { label: getFieldLabel(field) })]);
+            })
+            .then(result => {
+                // Cancelled: a newer check, reset() or hiding the field took over
+                if (controller.signal.aborted) return STALE_RESULT;
+                delete this.pending[fieldName];
+                this.applyResult(fieldName, result);
+                return result;
+            });
+
+        this.pending[fieldName] = { controller, promise: check };
+        return check;
+    }
+
+    /**
+     * Validate one field and wait for its final result: when the check is
+     * replaced by a newer one, that one's result is awaited instead
+     */
+    whenValidated(fieldName) {
+        return this.validateField(fieldName).then(result => this.settleResult(fieldName, result));
+    }
+
+    /**
+     * Follow a stale result to the newest check of the field, or to what the
+     * field was left with when nothing replaced it
+     */
+    settleResult(fieldName, result) {
+        if (result !== STALE_RESULT) return Promise.resolve(result);
+        
+        const pending = this.pending[fieldName];
+        if (pending) return pending.promise.then(next => this.settleResult(fieldName, next));
+        if (!this.results[fieldName] && this.isFieldShown(fieldName)) return this.whenValidated(fieldName);
+        return Promise.resolve(this.results[fieldName] || { isValid: true });
+    }
+
+    /**
+     * Abort the in-flight async check of a field, if there is one
+     */
+    cancelPending(fieldName) {
+        const pending = this.pending[fieldName];
+        if (pending) {
+            delete this.pending[fieldName];
+            pending.controller.abort();
+        }
+    }
+
+    /**
+     * Record a finished validation, update the UI and notify listeners
+     */
+    applyResult(fieldName, validationResult) {
+        const previous = this.results[fieldName];
+        this.results[fieldName] = validationResult;
+        this.updateFieldUI(fieldName, validationResult);
+        
+        // Tell screen readers when a field's state changes while the user
+        // works on it; a failed submit is announced by the error summary
+        if (!this.submitting) {
+            const isNewError = !previous || previous.isValid ||
+                (previous.message !== validationResult.message && document.activeElement === this.fields[fieldName]);
+            
+            if (!validationResult.isValid && isNewError) {
+                this.announce(validationResult.message);
+            } else if (validationResult.isValid && previous && !previous.isValid) {
+                const successElement = document.getElementById(fieldName + 'Success');
+                this.announce(successElement ? successElement.textContent : '');
+            }
+        }
+
+        if (validationResult.isValid) {
+            delete this.errors[fieldName];
+            this.emit('fieldvalid', { field: fieldName });
+        } else {
+            this.errors[fieldName] = validationResult.message;
+            this.emit('fieldinvalid', { field: fieldName, message: validationResult.message });
+        }
+        
+        if (this.errorSummary) {
+            this.renderErrorSummary(this.getErrors());
+        }
+        
+        if (this.validationRules[fieldName].email) {
+            this.updateEmailSuggestion(fieldName);
+        }
+    }
+
+    /**
+     * Offer the closest common domain for a mistyped email address, as a
+     * "Did you mean …?" button under the field's error message that puts it
+     * in the field (created on first use)
+     */
+    updateEmailSuggestion(fieldName) {
+        const field = this.fields[fieldName];
+        const value = getFieldValue(field).trim();
+        const suggestion = value && this.isFieldShown(fieldName)
+            ? suggestEmail(value, this.validationRules[fieldName].suggestDomains)
+            : null;
+        let button = document.getElementById(fieldName + 'Suggestion');
+        
+        if (!suggestion) {
+            if (button) button.hidden = true;
+            return;
+        }
+        
+        if (!button) {
+            button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'email-suggestion';
+            button.id = fieldName + 'Suggestion';
+            this.listen(button, 'click', () => {
+                this.setValues({ [fieldName]: button.dataset.suggestion });
+                field.focus();
+            });
+            
+            const errorElement = document.getElementById(fieldName + 'Error');
+            const anchor = errorElement || field;
+            anchor.parentNode.insertBefore(button, anchor.nextSibling);
+        }
+        
+        const isNew = button.hidden || button.dataset.suggestion !== suggestion;
+        button.dataset.suggestion = suggestion;
+        button.textContent = t('email.suggestion', { suggestion });
+        button.hidden = false;
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id !== '');
+        if (!describedBy.includes(button.id)) {
+            field.setAttribute('aria-describedby', describedBy.concat(button.id).join(' '));
+        }
+        if (isNew && !this.submitting) {
+            this.announce(button.textContent);
+        }
+    }
+
+    /**
+     * Queue a message for the live region
+     * Messages from one round of validation are read out together
+     */
+    announce(message) {
+        if (!message) return;
+        
+        this.announcements.push(message);
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.liveRegion.textContent = this.announcements.join('. ');
+            this.announcements = [];
+        }, 100);
+    }
+
+    /**
+     * List the form's errors at its top, each linking to its field
+     * The summary disappears once every error is fixed
+     */
+    renderErrorSummary(errors) {
+        if (errors.length === 0) {
+            this.removeErrorSummary();
+            return;
+        }
+        
+        if (!this.errorSummary) {
+            this.errorSummary = document.createElement('div');
+            this.errorSummary.className = 'error-summary';
+            this.errorSummary.tabIndex = -1;
+            this.errorSummary.setAttribute('aria-labelledby', (this.form.id || 'form') + 'ErrorSummaryTitle');
+            this.form.insertBefore(this.errorSummary, this.form.firstChild);
+        }
+        
+        const title = document.createElement('h3');
+        title.id = this.errorSummary.getAttribute('aria-labelledby');
+        title.textContent = t('errorSummary.title', { count: errors.length });
+        
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const field = this.fields[error.field];
+            const link = document.createElement('a');
+            link.href = '#' + (field.id || field.name);
+            link.textContent = error.message;
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                this.focusField(error.field);
+            });
+            
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        this.errorSummary.innerHTML = '';
+        this.errorSummary.append(title, list);
+    }
+
+    removeErrorSummary() {
+        if (this.errorSummary) {
+            this.errorSummary.remove();
+            this.errorSummary = null;
+        }
+    }
+
+    /**
+     * Focus a field and scroll it into view
+     * validator:fieldfocus goes first so a wizard can show the field's step
+     */
+    focusField(fieldName) {
+        const field = this.fields[fieldName];
+        if (!field) return;
+        
+        this.emit('fieldfocus', { field: fieldName });
+        field.focus();
+        field.scrollIntoView({ 
+            behavior: scrollBehavior(), 
+            block: 'center' 
+        });
+    }
+
+    /**
+     * Validate every field, waiting for async rules
+     * Resolves to true when the whole form is valid
+     */
+    validate() {
+        const checks = Object.keys(this.fields).map(fieldName => this.whenValidated(fieldName));
+        return Promise.all(checks).then(results => results.every(result => result.isValid));
+    }
+
+    /**
+     * Errors from the most recent validation, in field order
+     */
+    getErrors() {
+        return Object.keys(this.fields)
+            .filter(fieldName => fieldName in this.errors)
+            .map(fieldName => ({ field: fieldName, message: this.errors[fieldName] }));
+    }
+
+    /**
+     * Words from the other text fields (name, email...) that should not
+     * appear in a password
+     */
+    getUserInputs(fieldName) {
+        const words = [];
+        Object.keys(this.fields).forEach(otherName => {
+            const field = this.fields[otherName];
+            if (otherName === fieldName || field.type === 'password') return;
+            
+            getFieldValue(field).toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+                if (word.length >= 3) words.push(word);
+            });
+        });
+        return words;
+    }
+
+    /**
+     * Current values of the fields that are shown, keyed by name
+     */
+    getFormData() {
+        const formData = {};
+        Object.keys(this.fields).filter(fieldName => this.isFieldShown(fieldName)).forEach(fieldName => {
+            const field = this.fields[fieldName];
+            let value = getFieldValue(field);
+            
+            // Send locale-formatted numbers in canonical form
+            if (this.validationRules[fieldName].numeric && value.trim() !== '') {
+                const number = parseFieldNumber(field, value);
+                if (!isNaN(number)) value = String(number);
+            }
+            
+            // ...and masked values in their normalized form (E.164 phone numbers, say)
+            if (this.masks[fieldName] && value.trim() !== '') {
+                value = this.masks[fieldName].normalize(value.trim());
+            }
+            formData[fieldName] = value;
+        });
+        return formData;
+    }
+
+    /**
+     * Update field UI based on validation result
+     */
+    updateFieldUI(fieldName, validationResult) {
+        const field = this.fields[fieldName];
+        if (!field || validationResult === STALE_RESULT) return;
+        
+        const errorElement = document.getElementById(fieldName + 'Error');
+        const successElement = document.getElementById(fieldName + 'Success');
+        const hasValue = getFieldValue(field).trim() !== '';
+
+        // Async check in progress: neutral state until it settles
+        field.classList.toggle('pending', Boolean(validationResult.pending));
+        togglePendingMessage(field, Boolean(validationResult.pending));
+        
+        if (validationResult.pending) {
+            field.classList.remove('success', 'error');
+            field.removeAttribute('aria-invalid');
+            setFieldDescription(field, ['Pending']);
+            if (errorElement) errorElement.style.display = 'none';
+            if (successElement) successElement.style.display = 'none';
+            return;
+        }
+
+        if (validationResult.isValid) {
+            // Field is valid
+            field.classList.remove('error');
+            field.setAttribute('aria-invalid', 'false');
+            setFieldDescription(field, hasValue ? ['Success'] : []);
+            if (hasValue) {
+                field.classList.add('success');
+            }
+            
+            // Hide error message
+            if (errorElement) {
+                errorElement.style.display = 'none';
+            }
+            
+            // Show success message for filled fields
+            if (successElement && hasValue) {
+                successElement.style.display = 'block';
+            }
+        } else {
+            // Field has errors
+            field.classList.remove('success');
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+            setFieldDescription(field, ['Error']);
+            
+            // Hide success message
+            if (successElement) {
+                successElement.style.display = 'none';
+            }
+            
+            // Show error message; several failures (data-report="all") as a list
+            if (errorElement) {
+                if (validationResult.messages && validationResult.messages.length > 1) {
+                    const list = document.createElement('ul');
+                    validationResult.messages.forEach(message => {
+                        const item = document.createElement('li');
+                        item.textContent = message;
+                        list.appendChild(item);
+                    });
+                    errorElement.textContent = '';
+                    errorElement.appendChild(list);
+                } else {
+                    errorElement.textContent = validationResult.message;
+                }
+                errorElement.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * Add the requirements checklist (#<field>Checklist) above a field's error
+     * message and have the field described by it
+     */
+    createChecklist(fieldName) {
+        const field = this.fields[fieldName];
+        const list = document.createElement('ul');
+        list.className = 'constraint-checklist';
+        list.id = fieldName + 'Checklist';
+        
+        const errorElement = document.getElementById(fieldName + 'Error');
+        if (errorElement) {
+            errorElement.parentNode.insertBefore(list, errorElement);
+        } else {
+            field.parentNode.insertBefore(list, field.nextSibling);
+        }
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id !== '');
+        field.setAttribute('aria-describedby', describedBy.concat(list.id).join(' '));
+        this.updateChecklist(fieldName);
+    }
+
+    /**
+     * Tick off the requirements the field's value meets; only constraints
+     * with a constraint.<name> text are listed
+     */
+    updateChecklist(fieldName) {
+        const list = document.getElementById(fieldName + 'Checklist');
+        if (!list || !this.validationRules[fieldName].checklist) return;
+        
+        const rules = this.validationRules[fieldName];
+        list.setAttribute('aria-label', t('constraint.listLabel'));
+        list.textContent = '';
+        
+        this.checkConstraints(fieldName, getFieldValue(this.fields[fieldName]).trim())
+            .filter(constraint => hasTranslation('constraint.' + constraint.name))
+            .forEach(constraint => {
+                const item = document.createElement('li');
+                item.classList.toggle('met', constraint.met);
+                item.textContent = t('constraint.' + constraint.name, { count: rules[constraint.name] });
+                
+                // The tick is drawn by CSS, so say it for screen readers
+                const status = document.createElement('span');
+                status.className = 'visually-hidden';
+                status.textContent = ' ' + t(constraint.met ? 'constraint.met' : 'constraint.unmet');
+                item.appendChild(status);
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Remove an element created for a field (#<field><suffix>) and drop it
+     * from the field's aria-describedby
+     */
+    removeFieldElement(fieldName, suffix) {
+        const element = document.getElementById(fieldName + suffix);
+        if (!element) return;
+        
+        const field = this.fields[fieldName];
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id !== '' && id !== element.id);
+        if (describedBy.length > 0) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+        element.remove();
+    }
+
+    /**
+     * Put a field back in its unvalidated state
+     */
+    clearFieldUI(fieldName) {
+        const field = this.fields[fieldName];
+        field.classList.remove('success', 'error', 'pending');
+        field.removeAttribute('aria-invalid');
+        setFieldDescription(field, []);
+        togglePendingMessage(field, false);
+        
+        const errorElement = document.getElementById(fieldName + 'Error');
+        const successElement = document.getElementById(fieldName + 'Success');
+        
+        if (errorElement) errorElement.style.display = 'none';
+        if (successElement) successElement.style.display = 'none';
+        
+        const suggestion = document.getElementById(fieldName + 'Suggestion');
+        if (suggestion) suggestion.hidden = true;
+    }
+
+    /**
+     * Handle form submission with comprehensive validation
+     * Waits for every pending async check before deciding
+     */
+    async submit() {
+        if (this.submitting) return;
+        this.submitting = true;
+        
+        try {
+            const successMessage = this.form.querySelector('.form-success');
+            const isFormValid = await this.validate();
+
+            if (isFormValid) {
+                const formData = this.getFormData();
+                if (this.emit('submit', { formData })) {
+                    if (this.transport.url) {
+                        await this.send(formData, successMessage);
+                    } else {
+                        this.handleSuccessfulSubmission(formData, successMessage);
+                    }
+                }
+            } else {
+                const errors = this.getErrors();
+                if (this.emit('invalid', { errors })) {
+                    this.handleFailedSubmission(errors, successMessage);
+                }
+            }
+        } catch (error) {
+            // send() handles refused submissions; this is anything else,
+            // such as an unknown data-encoding
+            console.error('Form submission failed:', error);
+            showNotification(t('notify.sendFailed', { reason: t('submitError.unknown') }), { type: 'error' });
+        } finally {
+            this.submitting = false;
+        }
+    }
+
+    /**
+     * Send valid form data to the form's action URL and handle the outcome
+     */
+    async send(formData, successMessage) {
+        this.setLoading(true);
+        
+        const options = Object.assign({}, this.transport, {
+            onRetry: (attempt, retries) => {
+                this.setLoading(true, t('form.retrying', { attempt, retries }));
+            }
+        });
+        
+        try {
+            const response = await sendFormData(formData, options);
+            this.emit('submitted', { formData, response });
+            this.handleSuccessfulSubmission(formData, successMessage);
+        } catch (error) {
+            if (!(error instanceof SubmissionError)) throw error;
+            
+            if (!this.emit('submiterror', { formData, error })) return;
+            
+            if (error.status === 422) {
+                this.handleServerValidationErrors(error.data, successMessage);
+            } else {
+                if (successMessage) successMessage.style.display = 'none';
+                console.error('Form submission failed:', error);
+                showNotification(t('notify.sendFailed', {
+                    reason: t('submitError.' + error.code, { status: error.status })
+                }), {
+                    type: 'error',
+                    duration: 0,
+                    actions: [{ label: t('toast.retry'), onClick: () => this.submit() }]
+                });
+            }
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Show the in-flight state on the submit button and block resubmission
+     */
+    setLoading(isLoading, label = t('form.sending')) {
+        this.form.classList.toggle('loading', isLoading);
+        this.form.setAttribute('aria-busy', String(isLoading));
+        
+        const submitButton = this.form.querySelector('[type="submit"]');
+        if (!submitButton) return;
+        
+        if (isLoading) {
+            if (submitButton.dataset.label === undefined) {
+                submitButton.dataset.label = submitButton.textContent;
+            }
+            submitButton.disabled = true;
+            submitButton.textContent = label;
+        } else {
+            submitButton.disabled = false;
+            if (submitButton.dataset.label !== undefined) {
+                submitButton.textContent = submitButton.dataset.label;
+                delete submitButton.dataset.label;
+            }
+        }
+    }
+
+    /**
+     * Map field errors from a 422 response onto the matching fields
+     */
+    handleServerValidationErrors(data, successMessage) {
+        const errors = getServerFieldErrors(data);
+        const fieldErrors = errors.filter(error => this.fields[error.field]);
+        
+        fieldErrors.forEach(error => {
+            this.applyResult(error.field, { isValid: false, message: error.message });
+        });
+        
+        if (fieldErrors.length > 0) {
+            this.handleFailedSubmission(this.getErrors(), successMessage);
+        } else {
+            if (successMessage) successMessage.style.display = 'none';
+            showNotification(t('notify.serverRejected'), { type: 'error' });
+        }
+    }
+
+    /**
+     * Handle successful form submission
+     */
+    handleSuccessfulSubmission(formData, successMessage) {
+        this.discardDraft();
+        this.logSubmission(formData);
+        this.removeErrorSummary();
+        
+        // Show success message
+        if (successMessage) {
+            successMessage.style.display = 'block';
+            successMessage.scrollIntoView({ behavior: scrollBehavior() });
+        }
+        
+        // Offer to clear the form rather than asking with a blocking dialog
+        showNotification(t('notify.submitted'), {
+            type: 'success',
+            actions: [{ label: t('toast.resetForm'), onClick: () => this.reset() }]
+        });
+    }
+
+    /**
+     * Handle failed form submission
+     */
+    handleFailedSubmission(errors, successMessage) {
+        // Hide success message
+        if (successMessage) {
+            successMessage.style.display = 'none';
+        }
+        
+        // Log errors to console
+        console.log('%cForm validation failed ❌', `color: ${themeColor('danger')}; font-weight: bold;`);
+        console.log('Validation Errors:', errors);
+        
+        // List every error at the top and read out how many there are
+        this.renderErrorSummary(errors);
+        this.announce(t('errorSummary.title', { count: errors.length }));
+        
+        // Focus on first field with error
+        if (errors.length > 0) {
+            this.focusField(errors[0].field);
+        }
+        
+        // Show error notification
+        showNotification(t('notify.fixErrors', { count: errors.length }), { type: 'warning' });
+    }
+
+    /**
+     * Reset form to initial state
+     */
+    reset() {
+        Object.keys(this.pending).forEach(fieldName => this.cancelPending(fieldName));
+        this.discardDraft();
+        this.form.reset();
+        this.errors = {};
+        this.results = {};
+        this.hiddenResults = {};
+        this.removeErrorSummary();
+        
+        // Clear all validation states
+        Object.keys(this.fields).forEach(fieldName => {
+            this.clearFieldUI(fieldName);
+            this.updateChecklist(fieldName);
+            
+            const strengthMeter = document.getElementById(fieldName + 'Strength');
+            if (strengthMeter) strengthMeter.hidden = true;
+        });
+        this.updateConditions();
+        
+        // Hide success message
+        const successMessage = this.form.querySelector('.form-success');
+        if (successMessage) {
+            successMessage.style.display = 'none';
+        }
+        
+        this.emit('reset');
+        showNotification(t('notify.reset'));
+    }
+
+    /**
+     * Remove every listener added by this validator
+     */
+    destroy() {
+        Object.keys(this.pending).forEach(fieldName => this.cancelPending(fieldName));
+        this.listeners.forEach(({ target, type, handler, capture }) => {
+            target.removeEventListener(type, handler, capture);
+        });
+        this.listeners = [];
+        this.debounced.forEach(debounced => debounced.cancel());
+        Object.keys(this.masks).forEach(fieldName => this.masks[fieldName].destroy());
+        // Take out the elements the validator added next to fields
+        Object.keys(this.fields).forEach(fieldName => {
+            const rules = this.validationRules[fieldName];
+            if (rules.checklist) this.removeFieldElement(fieldName, 'Checklist');
+            if (rules.email) this.removeFieldElement(fieldName, 'Suggestion');
+        });
+        clearTimeout(this.announceTimer);
+        this.removeErrorSummary();
+        this.liveRegion.remove();
+        FormValidator.instances.delete(this.form);
+    }
+}
+
+/**
+ * Multi-step wizard for long forms
+ * Every `<fieldset data-step>` becomes one step; its <legend> is the step
+ * title. Next only advances when the step's fields pass validation, each step
+ * is a browser history entry (so Back/Forward move between steps), and a
+ * generated review screen summarizes the answers before the real submit.
+ */
+class FormWizard {
+    constructor(validator) {
+        this.validator = validator;
+        this.form = validator.form;
+        this.steps = Array.from(this.form.querySelectorAll('fieldset[data-step]'));
+        this.current = 0;
+        this.submitButton = this.form.querySelector('[type="submit"]');
+
+        this.buildProgress();
+        this.buildReview();
+        this.buildNavigation();
+
+        // Enter in a field moves to the next step instead of submitting early;
+        // capture so this runs before the validator's own submit handler
+        validator.listen(this.form, 'submit', event => {
+            if (!this.isOnReview()) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                this.next();
+            }
+        }, true);
+
+        // Show the step holding the first error when the final submit fails,
+        // and the step of any field the validator moves focus to
+        validator.listen(this.form, 'validator:invalid', event => {
+            const firstError = event.detail.errors[0];
+            if (firstError) {
+                this.goTo(this.getStepOf(firstError.field), { focus: false });
+            }
+        });
+        validator.listen(this.form, 'validator:fieldfocus', event => {
+            const step = this.getStepOf(event.detail.field);
+            if (step !== this.current) {
+                this.goTo(step, { focus: false });
+            }
+        });
+        
+        validator.listen(this.form, 'validator:reset', () => this.goTo(0));
+        validator.listen(document, 'localechange', () => this.render());
+        validator.listen(window, 'popstate', event => this.handlePopState(event.state));
+
+        validator.wizard = this;
+        this.goTo(0, { history: 'replace', focus: false });
+    }
+
+    /**
+     * Index of the review screen (one past the last fieldset)
+     */
+    get reviewIndex() {
+        return this.steps.length;
+    }
+
+    isOnReview() {
+        return this.current === this.reviewIndex;
+    }
+
+    /**
+     * Index of the step that contains a field
+     */
+    getStepOf(fieldName) {
+        const field = this.validator.fields[fieldName];
+        const index = this.steps.findIndex(step => step.contains(field));
+        return index === -1 ? 0 : index;
+    }
+
+    /**
+     * Names of the validated fields inside a step
+     */
+    getStepFields(index) {
+        const step = this.steps[index];
+        return Object.keys(this.validator.fields)
+            .filter(fieldName => step.contains(this.validator.fields[fieldName]));
+    }
+
+    /**
+     * Create the step list and progress bar above the steps
+     */
+    buildProgress() {
+        this.progress = document.createElement('div');
+        this.progress.className = 'wizard-progress';
+        
+        this.progressList = document.createElement('ol');
+        this.progressBar = document.createElement('div');
+        this.progressBar.className = 'wizard-progress-bar';
+        this.progressBar.setAttribute('role', 'progressbar');
+        this.progressBar.setAttribute('aria-valuemin', '1');
+        this.progressBar.setAttribute('aria-valuemax', String(this.steps.length + 1));
+        this.progressBar.appendChild(document.createElement('span'));
+        
+        this.progress.append(this.progressList, this.progressBar);
+        this.form.insertBefore(this.progress, this.steps[0]);
+    }
+
+    /**
+     * Create the (initially hidden) review screen after the last step
+     */
+    buildReview() {
+        this.review = document.createElement('section');
+        this.review.className = 'wizard-review';
+        this.review.hidden = true;
+        
+        this.reviewTitle = document.createElement('h3');
+        this.reviewTitle.tabIndex = -1;
+        setTranslatedText(this.reviewTitle, 'wizard.reviewTitle');
+        
+        const intro = document.createElement('p');
+        setTranslatedText(intro, 'wizard.reviewIntro');
+        
+        this.reviewList = document.createElement('div');
+        
+        this.review.append(this.reviewTitle, intro, this.reviewList);
+        const lastStep = this.steps[this.steps.length - 1];
+        lastStep.parentNode.insertBefore(this.review, lastStep.nextSibling);
+    }
+
+    /**
+     * Create the Back / Next buttons
+     */
+    buildNavigation() {
+        this.navigation = document.createElement('div');
+        this.navigation.className = 'wizard-nav';
+        
+        this.backButton = document.createElement('button');
+        this.backButton.type = 'button';
+        this.backButton.className = 'btn';
+        setTranslatedText(this.backButton, 'wizard.back');
+        this.backButton.addEventListener('click', () => this.back());
+        
+        this.nextButton = document.createElement('button');
+        this.nextButton.type = 'button';
+        this.nextButton.className = 'btn';
+        setTranslatedText(this.nextButton, 'wizard.next');
+        this.nextButton.addEventListener('click', () => this.next());
+        
+        this.navigation.append(this.backButton, this.nextButton);
+        this.review.parentNode.insertBefore(this.navigation, this.review.nextSibling);
+    }
+
+    /**
+     * Validate the current step and move on if it passes
+     * Resolves to true when the wizard advanced
+     */
+    async next() {
+        if (this.isOnReview()) return false;
+        
+        const step = this.current;
+        const isValid = await this.validateStep(step);
+        if (!isValid || this.current !== step) return false;
+        
+        this.goTo(step + 1);
+        return true;
+    }
+
+    /**
+     * Go back one step through the browser history, so Back button
+     * and on-page Back stay in sync
+     * That only works while the current history entry is the one this step
+     * pushed on top of the previous step; other scripts (the tabs) push
+     * entries too, so otherwise the step is shown directly instead.
+     */
+    back() {
+        if (this.current === 0) return;
+        
+        const state = window.history.state;
+        const isOwnEntry = state && state.wizard === this.form.id && state.step === this.current &&
+            state.url === window.location.href;
+        if (isOwnEntry && state.from === this.current - 1) {
+            window.history.back();
+        } else {
+            this.goTo(this.current - 1, { history: 'replace' });
+        }
+    }
+
+    /**
+     * Validate every field of a step; focuses the first invalid one
+     */
+    async validateStep(index) {
+        const fieldNames = this.getStepFields(index);
+        const results = await Promise.all(fieldNames.map(fieldName => this.validator.whenValidated(fieldName)));
+        const firstInvalid = fieldNames.find((fieldName, i) => !results[i].isValid);
+        
+        if (firstInvalid) {
+            this.validator.fields[firstInvalid].focus();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Show a step (or the review screen) and record it in the history
+     * options.history: 'push' (default), 'replace' or false
+     */
+    goTo(index, options = {}) {
+        index = Math.max(0, Math.min(index, this.reviewIndex));
+        const previous = this.current;
+        const changed = index !== previous;
+        this.current = index;
+        this.render();
+        
+        const historyMode = options.history === undefined ? 'push' : options.history;
+        if (historyMode) {
+            // `from` is the step of the entry below this one and `url` where
+            // this entry was made, which back() checks before going back
+            const existing = window.history.state || {};
+            const replacing = historyMode === 'replace' || !changed;
+            const state = Object.assign({}, existing, {
+                wizard: this.form.id,
+                step: index,
+                from: replacing ? (existing.wizard === this.form.id ? existing.from : undefined) : previous,
+                url: window.location.href
+            });
+            if (replacing) {
+                window.history.replaceState(state, '');
+            } else {
+                window.history.pushState(state, '');
+            }
+        }
+        
+        if (options.focus !== false && changed) {
+            this.focusCurrentStep();
+        }
+        
+        this.validator.emit('stepchange', { step: index, total: this.reviewIndex + 1 });
+    }
+
+    /**
+     * Follow the browser's Back/Forward buttons
+     * Moving forward past an invalid step stops at that step instead
+     */
+    async handlePopState(state) {
+        const target = state && state.wizard === this.form.id ? state.step : 0;
+        if (target === this.current) return;
+        
+        for (let index = 0; index < target; index++) {
+            if (!(await this.validateStep(index))) {
+                this.goTo(index, { history: 'replace' });
+                return;
+            }
+        }
+        this.goTo(target, { history: false });
+    }
+
+    /**
+     * Move focus to the first field of the current step, or the review heading
+     */
+    focusCurrentStep() {
+        if (this.isOnReview()) {
+            this.reviewTitle.focus();
+            return;
+        }
+        const fieldNames = this.getStepFields(this.current);
+        if (fieldNames.length > 0) {
+            this.validator.fields[fieldNames[0]].focus();
+        }
+    }
+
+    /**
+     * Update step visibility, progress, buttons and the review summary
+     */
+    render() {
+        this.steps.forEach((step, index) => {
+            step.hidden = index !== this.current;
+        });
+        this.review.hidden = !this.isOnReview();
+        
+        this.backButton.hidden = this.current === 0;
+        this.nextButton.hidden = this.isOnReview();
+        if (this.submitButton) {
+            this.submitButton.hidden = !this.isOnReview();
+        }
+        
+        this.renderProgress();
+        if (this.isOnReview()) {
+            this.renderReview();
+        }
+    }
+
+    renderProgress() {
+        const titles = this.steps.map(step => {
+            const legend = step.querySelector('legend');
+            return legend ? legend.textContent : step.dataset.step;
+        });
+        titles.push(t('wizard.review'));
+        
+        this.progressList.innerHTML = '';
+        titles.forEach((title, index) => {
+            const item = document.createElement('li');
+            item.textContent = title;
+            item.classList.toggle('complete', index < this.current);
+            if (index === this.current) {
+                item.setAttribute('aria-current', 'step');
+            }
+            this.progressList.appendChild(item);
+        });
+        
+        const current = this.current + 1;
+        const total = titles.length;
+        this.progressBar.setAttribute('aria-valuenow', String(current));
+        this.progressBar.setAttribute('aria-valuetext', t('wizard.progress', { current, total }));
+        this.progressBar.firstChild.style.width = (current / total * 100) + '%';
+    }
+
+    /**
+     * List every answer by step, with a button to jump back and edit it
+     */
+    renderReview() {
+        const formData = this.validator.getFormData();
+        this.reviewList.innerHTML = '';
+        
+        this.steps.forEach((step, index) => {
+            const group = document.createElement('div');
+            group.className = 'wizard-review-step';
+            
+            const heading = document.createElement('h4');
+            const legend = step.querySelector('legend');
+            heading.textContent = legend ? legend.textContent : step.dataset.step;
+            
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'wizard-edit';
+            editButton.textContent = t('wizard.edit');
+            editButton.addEventListener('click', () => this.goTo(index));
+            heading.appendChild(editButton);
+            
+            const list = document.createElement('dl');
+            // Fields hidden by data-show-if aren't sent, so they aren't listed
+            this.getStepFields(index).filter(fieldName => fieldName in formData).forEach(fieldName => {
+                const field = this.validator.fields[fieldName];
+                const term = document.createElement('dt');
+                term.textContent = getFieldLabel(field);
+                
+                const value = formData[fieldName];
+                const description = document.createElement('dd');
+                if (value === '') {
+                    description.textContent = t('wizard.empty');
+                } else if (field.type === 'password') {
+                    description.textContent = '•'.repeat(8);
+                } else if (field.type === 'checkbox') {
+                    description.textContent = '✓';
+                } else if (field.tagName === 'SELECT') {
+                    description.textContent = field.selectedOptions[0].textContent;
+                } else if (this.validator.masks[fieldName]) {
+                    // As typed rather than normalized
+                    description.textContent = field.value;
+                } else {
+                    description.textContent = value;
+                }
+                
+                list.append(term, description);
+            });
+            
+            group.append(heading, list);
+            this.reviewList.appendChild(group);
+        });
+    }
+}
+
+/**
+ * Validators by form element, so other code can reach them
+ */
+FormValidator.instances = new WeakMap();
+
+// Expose the validator for other scripts on the page
+window.FormValidator = FormValidator;
+window.SubmissionError = SubmissionError;
+window.FormWizard = FormWizard;
+
+// =============================================================================
+// UTILITY FUNCTIONS AND ERROR HANDLING
+// =============================================================================
+
+/**
+ * Global error handler for the application
+ */
+window.addEventListener('error', function(event) {
+    console.error('JavaScript Error:', event.error);
+    showNotification(t('notify.error'), { type: 'error' });
+});
+
+/**
+ * Performance monitoring
+ */
+window.addEventListener('load', function() {
+    const loadTime = performance.now();
+    console.log(`%cPage fully loaded in ${loadTime.toFixed(2)}ms`, 
+        `color: ${themeColor('primary')}; font-weight: bold;`);
+    console.log('%cTry these keyboard shortcuts:', `color: ${themeColor('success')}; font-weight: bold;`);
+    console.log('• Arrow Up/Down: Increment/Decrement counter');
+    console.log('• Spacebar: Reset counter to zero');
+});
+
+/**
+ * Smooth scroll utility function
+ */
+function smoothScrollTo(element) {
+    if (element) {
+        element.scrollIntoView({
+            behavior: scrollBehavior(),
+            block: 'center'
+        });
+    }
+}
+
+/**
+ * Check if element is in viewport
+ */
+function isElementInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return (
+        rect.top >= 0 &&
+        rect.left >= 0 &&
+        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+    );
+}
+
+/**
+ * Let the user save generated text as a file
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// =============================================================================
+// END OF SCRIPT
+// =============================================================================
+
+console.log('%c✅ Interactive Web Assignment JavaScript Fully Loaded!', 
+    `color: ${themeColor('success')}; font-size: 14px; font-weight: bold;`);
\ No newline at end of file